@@ -0,0 +1,71 @@
+/* @flow */
+
+/**
+ * The machine-readable codes set as `extensions.code` on the errors raised
+ * by GraphQL, so clients can tell errors apart without parsing messages.
+ */
+export const ErrorCode = {
+  // The source could not be parsed.
+  GRAPHQL_PARSE_FAILED: 'GRAPHQL_PARSE_FAILED',
+  // The document is not valid against the schema.
+  GRAPHQL_VALIDATION_FAILED: 'GRAPHQL_VALIDATION_FAILED',
+  // Variable or argument values are missing or invalid.
+  BAD_USER_INPUT: 'BAD_USER_INPUT',
+  // The request itself is malformed, e.g. a persisted query hash mismatch.
+  BAD_REQUEST: 'BAD_REQUEST',
+  // The operation cannot be performed with the HTTP method of the request,
+  // e.g. a mutation sent with GET.
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  // No single operation to execute could be found in the document.
+  OPERATION_NOT_FOUND: 'OPERATION_NOT_FOUND',
+  // The schema does not support the type of the operation.
+  OPERATION_NOT_SUPPORTED: 'OPERATION_NOT_SUPPORTED',
+  // A non-null field resolved to null.
+  NON_NULL_VIOLATION: 'NON_NULL_VIOLATION',
+  // The value of an abstract type resolved to a type it does not include.
+  INVALID_RUNTIME_TYPE: 'INVALID_RUNTIME_TYPE',
+  // A resolver returned a value that can not be sent as the field's type.
+  INVALID_RETURN_VALUE: 'INVALID_RETURN_VALUE',
+  // The operation selects fields deeper than allowed.
+  DEPTH_LIMIT_EXCEEDED: 'DEPTH_LIMIT_EXCEEDED',
+  // The estimated cost of the operation exceeds the maximum.
+  COMPLEXITY_LIMIT_EXCEEDED: 'COMPLEXITY_LIMIT_EXCEEDED',
+  // The deadline passed before all fields were resolved.
+  TIMEOUT: 'TIMEOUT',
+  // Execution was cancelled before all fields were resolved.
+  CANCELLED: 'CANCELLED',
+  PERSISTED_QUERY_NOT_SUPPORTED: 'PERSISTED_QUERY_NOT_SUPPORTED',
+  PERSISTED_QUERY_NOT_FOUND: 'PERSISTED_QUERY_NOT_FOUND',
+  PERSISTED_QUERY_NOT_ALLOWED: 'PERSISTED_QUERY_NOT_ALLOWED',
+  // An unexpected error was masked, see `maskErrors`, or the schema cannot
+  // execute the operation as defined.
+  INTERNAL_SERVER_ERROR: 'INTERNAL_SERVER_ERROR',
+};
+
+/**
+ * Sets the `extensions` of an error, which are sent to the client along with
+ * its message.
+ */
+export function setExtensions<E: Error>(
+  error: E,
+  extensions: {[key: string]: mixed}
+): E {
+  Object.defineProperty(error, 'extensions', {
+    value: extensions,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+  return error;
+}
+
+/**
+ * Sets `extensions.code` of an error, unless it already has a code.
+ */
+export function withCode<E: Error>(error: E, code: string): E {
+  const extensions = (error: any).extensions;
+  if (extensions && extensions.code) {
+    return error;
+  }
+  return setExtensions(error, { ...extensions, code });
+}
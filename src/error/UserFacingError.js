@@ -0,0 +1,52 @@
+/* @flow */
+
+/**
+ * An error whose message is meant to be read by the client that sent the
+ * request, e.g. because the input was invalid or an entity does not exist.
+ *
+ * When errors are masked, the messages of errors thrown by resolvers are
+ * only sent to the client if they are a UserFacingError (or a subclass).
+ *
+ * The `extensions` are sent to the client along with the message, e.g. to
+ * provide a machine-readable `code`.
+ */
+declare class UserFacingError extends Error {
+  constructor(
+    message: string,
+    extensions?: ?{[key: string]: mixed}
+  ): void;
+  extensions: ?{[key: string]: mixed};
+}
+
+export function UserFacingError( // eslint-disable-line no-redeclare
+  message: string,
+  extensions?: ?{[key: string]: mixed}
+) {
+  Object.defineProperties(this, {
+    message: {
+      value: message,
+      enumerable: true,
+      writable: true
+    },
+    extensions: {
+      value: extensions || undefined,
+      enumerable: true,
+      writable: true,
+      configurable: true
+    }
+  });
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, this.constructor);
+  } else {
+    Object.defineProperty(this, 'stack', {
+      value: Error().stack,
+      writable: true,
+      configurable: true
+    });
+  }
+}
+
+(UserFacingError: any).prototype = Object.create(Error.prototype, {
+  constructor: { value: UserFacingError },
+  name: { value: 'UserFacingError' }
+});
@@ -0,0 +1,24 @@
+/* @flow */
+
+import invariant from 'graphql/jsutils/invariant';
+import type { GraphQLError, GraphQLFormattedError } from 'graphql/error';
+
+
+/**
+ * Given a GraphQLError, format it according to the rules described by the
+ * Response Format, Errors section of the GraphQL Specification, including
+ * its `extensions` if it has any.
+ */
+export function formatError(error: GraphQLError): GraphQLFormattedError {
+  invariant(error, 'Received null or undefined error.');
+  const extensions = (error: any).extensions;
+  const formatted: any = {
+    message: error.message,
+    locations: error.locations,
+    path: error.path
+  };
+  if (extensions) {
+    formatted.extensions = extensions;
+  }
+  return formatted;
+}
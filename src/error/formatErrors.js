@@ -0,0 +1,94 @@
+/* @flow */
+
+import { GraphQLError } from 'graphql/error';
+import randomId from '../jsutils/randomId';
+import { ErrorCode, setExtensions } from './ErrorCode';
+import { UserFacingError } from './UserFacingError';
+
+
+/**
+ * Options controlling which errors are sent to the client and how.
+ *
+ * maskErrors:
+ *    Replace the message of every unexpected error with a generic message
+ *    containing a correlation id, see `isUnexpectedError`.
+ * logError:
+ *    Called with every masked error and its correlation id, to be able to
+ *    look it up by the id the client was given. Masked errors are not logged
+ *    otherwise.
+ * formatError:
+ *    Called with every error, after masking, and returns what is sent to the
+ *    client in its place.
+ */
+export type ErrorFormattingOptions = {
+  maskErrors?: ?boolean;
+  logError?: ?(error: GraphQLError, correlationId: string) => mixed;
+  formatError?: ?(error: GraphQLError) => mixed;
+};
+
+export type ErrorFormatter = (errors: Array<GraphQLError>) => Array<any>;
+
+/**
+ * Returns a function applying the error formatting options to the errors of
+ * a result, or nothing if the errors are to be sent as they are.
+ */
+export function createErrorFormatter(
+  options: ?ErrorFormattingOptions
+): ?ErrorFormatter {
+  const maskErrors = options && options.maskErrors;
+  const formatError = options && options.formatError;
+  if (!maskErrors && !formatError) {
+    return;
+  }
+  const logError = options && options.logError;
+  return errors => errors.map(error => {
+    const safeError = maskErrors && isUnexpectedError(error) ?
+      maskError(error, logError) :
+      error;
+    return formatError ? formatError(safeError) : safeError;
+  });
+}
+
+/**
+ * Determines whether the message of an error may reveal implementation
+ * details, i.e. it was neither raised by GraphQL itself, nor thrown as a
+ * UserFacingError or GraphQLError on purpose.
+ */
+export function isUnexpectedError(error: mixed): boolean {
+  let originalError = error;
+  while (
+    originalError instanceof GraphQLError &&
+    originalError.originalError
+  ) {
+    originalError = originalError.originalError;
+  }
+  return !(
+    originalError instanceof GraphQLError ||
+    originalError instanceof UserFacingError
+  );
+}
+
+/**
+ * Replaces an error with one that only tells the client a correlation id to
+ * refer to it by, and passes the original error to `logError`, if given. The
+ * code and correlation id are also provided as extensions.
+ */
+export function maskError(
+  error: GraphQLError,
+  logError?: ?(error: GraphQLError, correlationId: string) => mixed
+): GraphQLError {
+  const correlationId = randomId();
+  if (logError) {
+    logError(error, correlationId);
+  }
+  return setExtensions(
+    new GraphQLError(
+      `Unexpected error (correlation id: ${correlationId}).`,
+      error.nodes,
+      error.source,
+      error.positions,
+      error.path
+    ),
+    { code: ErrorCode.INTERNAL_SERVER_ERROR, correlationId }
+  );
+}
@@ -0,0 +1,16 @@
+/* @flow */
+
+export { UserFacingError } from './UserFacingError';
+export { ErrorCode, setExtensions, withCode } from './ErrorCode';
+export { locatedError } from './locatedError';
+export { formatError } from './formatError';
+export {
+  createErrorFormatter,
+  isUnexpectedError,
+  maskError,
+} from './formatErrors';
+
+export type {
+  ErrorFormattingOptions,
+  ErrorFormatter,
+} from './formatErrors';
@@ -0,0 +1,28 @@
+/* @flow */
+
+import { locatedError as baseLocatedError } from 'graphql/error';
+import { setExtensions } from './ErrorCode';
+import type { GraphQLError } from 'graphql/error';
+import type { ASTNode } from 'graphql/language/ast';
+
+
+/**
+ * Given an arbitrary Error, presumably thrown while attempting to execute a
+ * GraphQL operation, produce a new GraphQLError aware of the location in the
+ * document responsible for the original Error.
+ *
+ * Unlike the `locatedError` of GraphQL.js, the `extensions` of the original
+ * error, such as its code, are kept.
+ */
+export function locatedError(
+  originalError: ?Error,
+  nodes: Array<ASTNode>,
+  path: Array<string | number>
+): GraphQLError {
+  const error = baseLocatedError(originalError, nodes, path);
+  const extensions = originalError && (originalError: any).extensions;
+  if (extensions && error !== originalError && !(error: any).extensions) {
+    setExtensions(error, extensions);
+  }
+  return error;
+}
@@ -0,0 +1,21 @@
+/* @flow */
+
+/**
+ * Can be passed as `cancellationToken` to `execute` to stop execution from
+ * code running during it, e.g. a resolver noticing the client has gone away.
+ * Execution stops before the next field is resolved once `cancel` has been
+ * called.
+ *
+ * Any object with a `cancelled` property can be used as a token instead.
+ */
+export class CancellationToken {
+  cancelled: boolean;
+
+  constructor() {
+    this.cancelled = false;
+  }
+
+  cancel(): void {
+    this.cancelled = true;
+  }
+}
@@ -0,0 +1,138 @@
+/* @flow */
+
+import isNullish from 'graphql/jsutils/isNullish';
+import * as Kind from 'graphql/language/kinds';
+import {
+  getNamedType,
+  GraphQLObjectType,
+  isAbstractType,
+} from 'graphql/type/definition';
+import type { DirectiveNode } from 'graphql/language/ast';
+import type {
+  GraphQLField,
+  GraphQLNamedType,
+} from 'graphql/type/definition';
+
+
+export type CacheScope = 'PUBLIC' | 'PRIVATE';
+
+/**
+ * How long the value of a field (or of any field of a type) may be cached,
+ * in seconds, and whether it may be shared between users. Set as the
+ * `cacheControl` property of the config of a field or object type, or with
+ * the `@cacheControl(maxAge: Int, scope: CacheScope)` directive when the
+ * schema is built from the schema language.
+ */
+export type CacheHint = {
+  maxAge?: ?number;
+  scope?: ?CacheScope;
+};
+
+/**
+ * How long the result of an operation may be cached and whether it may be
+ * shared between users, which is the most restrictive of the hints of the
+ * fields that were resolved.
+ */
+export type CachePolicy = {
+  maxAge: number;
+  scope: CacheScope;
+};
+
+/**
+ * Creates the policy of an operation before any of its fields have been
+ * resolved.
+ */
+export function createCachePolicy(): CachePolicy {
+  return { maxAge: Infinity, scope: 'PUBLIC' };
+}
+
+/**
+ * Restricts the policy of an operation by the hint applying to a field.
+ *
+ * A field without a hint of its own uses the hint of the type it returns.
+ * Root fields and fields returning objects without any hint get the default
+ * max age, while other fields don't restrict the policy.
+ */
+export function restrictCachePolicy(
+  policy: CachePolicy,
+  fieldDef: GraphQLField<*, *>,
+  isRootField: boolean,
+  defaultMaxAge: number
+): void {
+  const namedType = getNamedType(fieldDef.type);
+  const fieldHint = getCacheHint(fieldDef, fieldDef.astNode);
+  const typeHint = getCacheHint(
+    (namedType: any)._typeConfig,
+    (namedType: any).astNode
+  );
+  let maxAge = fieldHint && !isNullish(fieldHint.maxAge) ?
+    fieldHint.maxAge :
+    typeHint && typeHint.maxAge;
+  if (
+    isNullish(maxAge) &&
+    (isRootField || isCompositeType(namedType))
+  ) {
+    maxAge = defaultMaxAge;
+  }
+  if (!isNullish(maxAge) && maxAge < policy.maxAge) {
+    policy.maxAge = (maxAge: any);
+  }
+  if (
+    fieldHint && fieldHint.scope === 'PRIVATE' ||
+    typeHint && typeHint.scope === 'PRIVATE'
+  ) {
+    policy.scope = 'PRIVATE';
+  }
+}
+
+/**
+ * Returns the policy as it is returned in the result extensions.
+ */
+export function formatCachePolicy(policy: CachePolicy): CachePolicy {
+  return {
+    maxAge: policy.maxAge === Infinity ? 0 : policy.maxAge,
+    scope: policy.scope,
+  };
+}
+
+const hints: WeakMap<Object, ?CacheHint> = new WeakMap();
+
+// Returns the hint set in the config of a field or type, or with the
+// @cacheControl directive in its definition in the schema language.
+function getCacheHint(config: ?Object, astNode: ?Object): ?CacheHint {
+  if (!config) {
+    return;
+  }
+  if (hints.has(config)) {
+    return hints.get(config);
+  }
+  let hint = config.cacheControl;
+  if (!hint && astNode && astNode.directives) {
+    const directive = astNode.directives.find(
+      node => node.name.value === 'cacheControl'
+    );
+    hint = directive ? getDirectiveHint(directive) : null;
+  }
+  hints.set(config, hint);
+  return hint;
+}
+
+function getDirectiveHint(directive: DirectiveNode): CacheHint {
+  const hint = {};
+  (directive.arguments || []).forEach(arg => {
+    const value = arg.value;
+    if (arg.name.value === 'maxAge' && value.kind === Kind.INT) {
+      hint.maxAge = parseInt(value.value, 10);
+    } else if (
+      arg.name.value === 'scope' &&
+      (value.kind === Kind.ENUM || value.kind === Kind.STRING)
+    ) {
+      hint.scope = (value.value: any);
+    }
+  });
+  return hint;
+}
+
+function isCompositeType(type: GraphQLNamedType): boolean {
+  return type instanceof GraphQLObjectType || isAbstractType(type);
+}
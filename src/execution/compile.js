@@ -0,0 +1,716 @@
+/* @flow */
+
+import { forEach, isCollection } from 'iterall';
+import { GraphQLError } from 'graphql/error';
+import invariant from 'graphql/jsutils/invariant';
+import isNullish from 'graphql/jsutils/isNullish';
+import * as Kind from 'graphql/language/kinds';
+import { visit } from 'graphql/language/visitor';
+import {
+  GraphQLObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+  isAbstractType,
+  isLeafType,
+} from 'graphql/type/definition';
+import {
+  GraphQLIncludeDirective,
+  GraphQLSkipDirective,
+} from 'graphql/type/directives';
+import { getVariableValues } from './values';
+import {
+  addPath,
+  buildExecutionResult,
+  collectFields,
+  collectSubfields,
+  completeLeafValue,
+  createExecutionContext,
+  defaultResolveTypeFn,
+  ensureValidRuntimeType,
+  executeOperation,
+  getFieldDef,
+  getFieldDirectives,
+  getFieldResolver,
+  invalidReturnTypeError,
+  isExecutionStopped,
+  resolveBatches,
+  resolveFieldValueOrError,
+  responsePathAsArray,
+  sendResult,
+} from './execute';
+import { applyDirectiveResolvers, completeWithDirectives } from './directives';
+import { restrictCachePolicy } from './cacheControl';
+import { runWillExecute } from './plugins';
+import { createErrorFormatter } from '../error/formatErrors';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import { locatedError } from '../error/locatedError';
+import type {
+  GraphQLAbstractType,
+  GraphQLField,
+  GraphQLFieldResolver,
+  GraphQLOutputType,
+  GraphQLResolveInfo,
+  ResponsePath,
+} from 'graphql/type/definition';
+import type {
+  FieldNode,
+  FragmentDefinitionNode,
+  OperationDefinitionNode,
+} from 'graphql/language/ast';
+import type {
+  ExecutionContext,
+  ExecutionResult,
+  PreparedOperation,
+} from './execute';
+import type { FieldDirective } from './directives';
+import type { IncrementalExecutionResults } from './incremental';
+
+
+/**
+ * A prepared operation compiled into a tree of functions, one for each field
+ * selected, which know the field definition, resolver and the way to
+ * complete the value of the field ahead of time.
+ *
+ * The fields selected depend on the values of the variables used by @skip
+ * and @include, so the tree is compiled once for each combination of their
+ * values.
+ */
+export type CompiledOperation = {
+  prepared: PreparedOperation;
+  conditionVariables: Array<string>;
+  plans: Map<string, ObjectPlan>;
+};
+
+// The fields to execute for a selection set on an object type.
+type ObjectPlan = {
+  type: GraphQLObjectType;
+  fields: Array<FieldPlan>;
+};
+
+type FieldPlan = {
+  responseName: string;
+  fieldName: string;
+  fieldNodes: Array<FieldNode>;
+  fieldDef: ?GraphQLField<*, *>;
+  parentType: GraphQLObjectType;
+  isNonNull: boolean;
+  isIntrospection: boolean;
+  // Null if the resolver depends on the execution, e.g. for middleware.
+  resolveFn: ?GraphQLFieldResolver<*, *>;
+  hasDirectives: boolean;
+  complete: Completer;
+};
+
+// Completes the result of a field resolver for the type it was compiled for.
+type Completer = (
+  exeContext: ExecutionContext,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  result: mixed
+) => mixed;
+
+/**
+ * Compiles a prepared operation, so it can be executed with
+ * `executeCompiled` without collecting fields, looking up field definitions
+ * or inspecting the types of fields for every object completed.
+ *
+ * Unless the selected fields depend on variables, the operation is compiled
+ * right away. Otherwise it is compiled when it is first executed with the
+ * given variable values.
+ */
+export function compileOperation(
+  prepared: PreparedOperation
+): CompiledOperation {
+  const compiled = {
+    prepared,
+    conditionVariables: getConditionVariables(
+      prepared.operation,
+      prepared.fragments
+    ),
+    plans: new Map(),
+  };
+  if (compiled.conditionVariables.length === 0) {
+    getRootPlan(compiled, createExecutionContext(
+      prepared.schema,
+      prepared.fragments,
+      undefined,
+      undefined,
+      prepared.operation,
+      {},
+      prepared.fieldResolver,
+      prepared.options
+    ));
+  }
+  return compiled;
+}
+
+/**
+ * Executes an operation previously compiled with `compileOperation` using the
+ * given root value, context value and variables. The result is the same as
+ * the result of `executePrepared`.
+ */
+export function executeCompiled(
+  compiled: CompiledOperation,
+  rootValue: mixed,
+  contextValue: mixed,
+  rawVariableValues: ?{[key: string]: mixed}
+): ExecutionResult | IncrementalExecutionResults {
+  invariant(
+    !rawVariableValues || typeof rawVariableValues === 'object',
+    'Variables must be provided as an Object where each property is a ' +
+    'variable value. Perhaps look to see if an unparsed JSON string ' +
+    'was provided.'
+  );
+
+  const { prepared } = compiled;
+  const { schema, fragments, operation, fieldResolver } = prepared;
+  const coercedVariableValues = getVariableValues(
+    schema,
+    operation.variableDefinitions || [],
+    rawVariableValues || {}
+  );
+  if (coercedVariableValues.errors) {
+    return sendResult(
+      { errors: coercedVariableValues.errors },
+      prepared.options.plugins || [],
+      createErrorFormatter(prepared.options)
+    );
+  }
+  const context = createExecutionContext(
+    schema,
+    fragments,
+    rootValue,
+    contextValue,
+    operation,
+    (coercedVariableValues.coerced: any),
+    fieldResolver,
+    prepared.options
+  );
+
+  const earlyResult = runWillExecute(context.plugins, context);
+  if (earlyResult) {
+    return buildExecutionResult(context, undefined, earlyResult);
+  }
+
+  // A plugin may have replaced the operation, which was not compiled.
+  if (context.operation !== operation) {
+    return buildExecutionResult(
+      context,
+      executeOperation(context, context.operation, rootValue)
+    );
+  }
+
+  // Errors from sub-fields of a NonNull type may propagate to the top level,
+  // at which point the entire response is null, like in `executeOperation`.
+  let data;
+  try {
+    data = executeFields(
+      context,
+      getRootPlan(compiled, context),
+      rootValue,
+      undefined,
+      operation.operation === 'mutation' ? {} : Object.create(null)
+    );
+  } catch (error) {
+    context.errors.push(error);
+    data = null;
+  }
+  return buildExecutionResult(context, data);
+}
+
+// Returns the names of the variables used by the @skip and @include
+// directives of the operation and the fragments.
+function getConditionVariables(
+  operation: OperationDefinitionNode,
+  fragments: {[key: string]: FragmentDefinitionNode}
+): Array<string> {
+  const names = [];
+  const visitor = {
+    Directive(directive) {
+      const name = directive.name.value;
+      if (
+        name === GraphQLSkipDirective.name ||
+        name === GraphQLIncludeDirective.name
+      ) {
+        (directive.arguments || []).forEach(arg => {
+          if (
+            arg.value.kind === Kind.VARIABLE &&
+            names.indexOf(arg.value.name.value) === -1
+          ) {
+            names.push(arg.value.name.value);
+          }
+        });
+      }
+      return false;
+    },
+  };
+  visit(operation, visitor);
+  Object.keys(fragments).forEach(name => visit(fragments[name], visitor));
+  return names;
+}
+
+// Returns the plan for the root fields given the values of the condition
+// variables of the execution, compiling it the first time.
+function getRootPlan(
+  compiled: CompiledOperation,
+  exeContext: ExecutionContext
+): ObjectPlan {
+  const key = JSON.stringify(
+    compiled.conditionVariables.map(name => exeContext.variableValues[name])
+  );
+  let plan = compiled.plans.get(key);
+  if (!plan) {
+    const { rootType, operation } = compiled.prepared;
+    plan = compileObjectPlan(
+      exeContext,
+      rootType,
+      collectFields(
+        exeContext,
+        rootType,
+        operation.selectionSet,
+        Object.create(null),
+        Object.create(null)
+      )
+    );
+    compiled.plans.set(key, plan);
+  }
+  return plan;
+}
+
+// The functions compiling plans are given an execution context to collect
+// fields with and to read the options from, which must not be kept by the
+// functions they return.
+
+function compileObjectPlan(
+  context: ExecutionContext,
+  type: GraphQLObjectType,
+  fields: {[key: string]: Array<FieldNode>}
+): ObjectPlan {
+  return {
+    type,
+    fields: Object.keys(fields).map(responseName =>
+      compileFieldPlan(context, type, responseName, fields[responseName])
+    ),
+  };
+}
+
+function compileFieldPlan(
+  context: ExecutionContext,
+  parentType: GraphQLObjectType,
+  responseName: string,
+  fieldNodes: Array<FieldNode>
+): FieldPlan {
+  const fieldName = fieldNodes[0].name.value;
+  const fieldDef = getFieldDef(context.schema, parentType, fieldName);
+  const isIntrospection = fieldName.slice(0, 2) === '__';
+  const directives = fieldNodes[0].directives;
+  return {
+    responseName,
+    fieldName,
+    fieldNodes,
+    fieldDef,
+    parentType,
+    isNonNull: Boolean(fieldDef) &&
+      (fieldDef: any).type instanceof GraphQLNonNull,
+    isIntrospection,
+    resolveFn: !fieldDef || (fieldDef: any).batchResolve ||
+      context.middleware.length !== 0 && !isIntrospection ?
+      null :
+      fieldDef.resolve || context.fieldResolver,
+    hasDirectives: Boolean(context.directiveResolvers) &&
+      Boolean(directives) && directives.length !== 0,
+    complete: fieldDef ?
+      compileCompleter(context, fieldDef.type, fieldNodes) :
+      completeNothing,
+  };
+}
+
+function completeNothing() {}
+
+// Returns a function completing values like `completeValue` does for the
+// given type.
+function compileCompleter(
+  context: ExecutionContext,
+  returnType: GraphQLOutputType,
+  fieldNodes: Array<FieldNode>
+): Completer {
+  if (returnType instanceof GraphQLNonNull) {
+    const completeInner = compileCompleter(
+      context,
+      returnType.ofType,
+      fieldNodes
+    );
+    return (exeContext, info, path, result) => {
+      if (result instanceof Error) {
+        throw result;
+      }
+      const completed = completeInner(exeContext, info, path, result);
+      if (completed === null) {
+        throw withCode(new GraphQLError(
+          `Cannot return null for non-nullable field ${
+            info.parentType.name}.${info.fieldName}.`
+        ), ErrorCode.NON_NULL_VIOLATION);
+      }
+      return completed;
+    };
+  }
+
+  const completeValue = compileNullableCompleter(
+    context,
+    returnType,
+    fieldNodes
+  );
+  return (exeContext, info, path, result) => {
+    if (result instanceof Error) {
+      throw result;
+    }
+    if (isNullish(result)) {
+      return null;
+    }
+    return completeValue(exeContext, info, path, result);
+  };
+}
+
+function compileNullableCompleter(
+  context: ExecutionContext,
+  returnType: GraphQLOutputType,
+  fieldNodes: Array<FieldNode>
+): Completer {
+  if (returnType instanceof GraphQLList) {
+    return compileListCompleter(context, returnType, fieldNodes);
+  }
+  if (isLeafType(returnType)) {
+    const leafType: any = returnType;
+    return (exeContext, info, path, result) =>
+      completeLeafValue(leafType, result);
+  }
+  if (isAbstractType(returnType)) {
+    return compileAbstractCompleter(context, (returnType: any), fieldNodes);
+  }
+  if (returnType instanceof GraphQLObjectType) {
+    const plan = compileObjectPlan(
+      context,
+      returnType,
+      collectSubfields(context, returnType, fieldNodes)
+    );
+    return (exeContext, info, path, result) =>
+      completeObjectValue(exeContext, plan, fieldNodes, info, path, result);
+  }
+  return () => {
+    // Not reachable. All possible output types have been considered.
+    throw withCode(new Error(
+      `Cannot complete value of unexpected type "${String(returnType)}".`
+    ), ErrorCode.INTERNAL_SERVER_ERROR);
+  };
+}
+
+function compileListCompleter(
+  context: ExecutionContext,
+  returnType: GraphQLList<*>,
+  fieldNodes: Array<FieldNode>
+): Completer {
+  const itemType = returnType.ofType;
+  const isNonNullItem = itemType instanceof GraphQLNonNull;
+  const completeItem = compileCompleter(context, itemType, fieldNodes);
+  const hasBatches = hasBatchResolvers(itemType);
+  return (exeContext, info, path, result) => {
+    if (!isCollection(result)) {
+      throw withCode(new GraphQLError(
+        `Expected Iterable, but did not find one for field ${
+          info.parentType.name}.${info.fieldName}.`,
+        fieldNodes
+      ), ErrorCode.INVALID_RETURN_VALUE);
+    }
+
+    let items = result;
+    if (!Array.isArray(items)) {
+      items = [];
+      forEach((result: any), item => {
+        items.push(item);
+      });
+    }
+
+    const removeBatches = hasBatches ?
+      resolveBatches(exeContext, itemType, fieldNodes, items) :
+      null;
+
+    const completedResults = [];
+    for (let index = 0; index < items.length; index++) {
+      const fieldPath = addPath(path, index);
+      if (
+        isExecutionStopped(exeContext, isNonNullItem, fieldNodes, fieldPath)
+      ) {
+        completedResults.push(null);
+        continue;
+      }
+      completedResults.push(completeValueCatchingError(
+        exeContext,
+        completeItem,
+        isNonNullItem,
+        fieldNodes,
+        info,
+        fieldPath,
+        items[index]
+      ));
+    }
+
+    if (removeBatches) {
+      removeBatches();
+    }
+    return completedResults;
+  };
+}
+
+function compileAbstractCompleter(
+  context: ExecutionContext,
+  returnType: GraphQLAbstractType,
+  fieldNodes: Array<FieldNode>
+): Completer {
+  const plans = new Map();
+  context.schema.getPossibleTypes(returnType).forEach(type => {
+    plans.set(type, compileObjectPlan(
+      context,
+      type,
+      collectSubfields(context, type, fieldNodes)
+    ));
+  });
+  return (exeContext, info, path, result) => {
+    const runtimeType = returnType.resolveType ?
+      returnType.resolveType(result, exeContext.contextValue, info) :
+      defaultResolveTypeFn(result, exeContext.contextValue, info, returnType);
+    const type = ensureValidRuntimeType(
+      ((runtimeType: any): ?GraphQLObjectType | string),
+      exeContext,
+      returnType,
+      fieldNodes,
+      info,
+      result
+    );
+    return completeObjectValue(
+      exeContext,
+      (plans.get(type): any),
+      fieldNodes,
+      info,
+      path,
+      result
+    );
+  };
+}
+
+function hasBatchResolvers(itemType: GraphQLOutputType): boolean {
+  const objectType = itemType instanceof GraphQLNonNull ?
+    itemType.ofType :
+    itemType;
+  if (!(objectType instanceof GraphQLObjectType)) {
+    return false;
+  }
+  const fieldMap = objectType.getFields();
+  return Object.keys(fieldMap).some(
+    fieldName => Boolean((fieldMap[fieldName]: any).batchResolve)
+  );
+}
+
+function completeObjectValue(
+  exeContext: ExecutionContext,
+  plan: ObjectPlan,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  result: mixed
+): mixed {
+  const returnType = plan.type;
+  if (returnType.isTypeOf) {
+    const isTypeOf = returnType.isTypeOf(result, exeContext.contextValue, info);
+    if (!isTypeOf) {
+      throw invalidReturnTypeError(returnType, result, fieldNodes);
+    }
+  }
+  return executeFields(
+    exeContext,
+    plan,
+    result,
+    path,
+    Object.create(null)
+  );
+}
+
+function executeFields(
+  exeContext: ExecutionContext,
+  plan: ObjectPlan,
+  sourceValue: mixed,
+  path: ?ResponsePath,
+  results: {[key: string]: mixed}
+): {[key: string]: mixed} {
+  const fields = plan.fields;
+  for (let i = 0; i < fields.length; i++) {
+    const fieldPlan = fields[i];
+    const fieldPath = addPath((path: any), fieldPlan.responseName);
+    if (isExecutionStopped(
+      exeContext,
+      fieldPlan.isNonNull,
+      fieldPlan.fieldNodes,
+      fieldPath
+    )) {
+      results[fieldPlan.responseName] = null;
+      continue;
+    }
+    const result = resolveField(exeContext, fieldPlan, sourceValue, fieldPath);
+    if (result !== undefined) {
+      results[fieldPlan.responseName] = result;
+    }
+  }
+  return results;
+}
+
+function resolveField(
+  exeContext: ExecutionContext,
+  fieldPlan: FieldPlan,
+  source: mixed,
+  path: ResponsePath
+): mixed {
+  const { fieldDef, fieldNodes, parentType } = fieldPlan;
+  if (!fieldDef) {
+    return;
+  }
+
+  const info = {
+    fieldName: fieldPlan.fieldName,
+    fieldNodes,
+    returnType: fieldDef.type,
+    parentType,
+    path,
+    schema: exeContext.schema,
+    fragments: exeContext.fragments,
+    rootValue: exeContext.rootValue,
+    operation: exeContext.operation,
+    variableValues: exeContext.variableValues,
+  };
+
+  if (exeContext.cachePolicy && !fieldPlan.isIntrospection) {
+    restrictCachePolicy(
+      exeContext.cachePolicy,
+      fieldDef,
+      !path.prev,
+      exeContext.defaultMaxAge
+    );
+  }
+
+  let directives;
+  if (fieldPlan.hasDirectives) {
+    try {
+      directives = getFieldDirectives(exeContext, fieldNodes[0]);
+    } catch (error) {
+      return completeValueCatchingError(
+        exeContext,
+        fieldPlan.complete,
+        fieldPlan.isNonNull,
+        fieldNodes,
+        info,
+        path,
+        error
+      );
+    }
+  }
+
+  const resolver = fieldPlan.resolveFn ||
+    getFieldResolver(exeContext, parentType, fieldDef);
+  const resolveFn = directives ?
+    applyDirectiveResolvers(directives, resolver) :
+    resolver;
+
+  const tracer = exeContext.tracer;
+  const startOffset = tracer ? tracer.now() : 0;
+
+  const result = resolveFieldValueOrError(
+    exeContext,
+    fieldDef,
+    fieldNodes,
+    resolveFn,
+    source,
+    info
+  );
+
+  if (tracer) {
+    tracer.recordResolver(
+      responsePathAsArray(path),
+      parentType,
+      fieldPlan.fieldName,
+      fieldDef.type,
+      startOffset
+    );
+  }
+
+  return completeValueCatchingError(
+    exeContext,
+    fieldPlan.complete,
+    fieldPlan.isNonNull,
+    fieldNodes,
+    info,
+    path,
+    result,
+    directives
+  );
+}
+
+function completeValueCatchingError(
+  exeContext: ExecutionContext,
+  complete: Completer,
+  isNonNull: boolean,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  result: mixed,
+  directives?: ?Array<FieldDirective>
+): mixed {
+  // Errors of non-nullable fields propagate to the parent field.
+  if (isNonNull) {
+    return completeValueWithLocatedError(
+      exeContext,
+      complete,
+      fieldNodes,
+      info,
+      path,
+      result,
+      directives
+    );
+  }
+  try {
+    return completeValueWithLocatedError(
+      exeContext,
+      complete,
+      fieldNodes,
+      info,
+      path,
+      result,
+      directives
+    );
+  } catch (error) {
+    exeContext.errors.push(error);
+    return null;
+  }
+}
+
+function completeValueWithLocatedError(
+  exeContext: ExecutionContext,
+  complete: Completer,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  result: mixed,
+  directives?: ?Array<FieldDirective>
+): mixed {
+  try {
+    const completed = complete(exeContext, info, path, result);
+    if (directives) {
+      return completeWithDirectives(
+        directives,
+        completed,
+        exeContext.contextValue,
+        info
+      );
+    }
+    return completed;
+  } catch (error) {
+    throw locatedError(error, fieldNodes, responsePathAsArray(path));
+  }
+}
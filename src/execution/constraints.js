@@ -0,0 +1,256 @@
+/* @flow */
+
+import isNullish from 'graphql/jsutils/isNullish';
+import * as Kind from 'graphql/language/kinds';
+import {
+  GraphQLInputObjectType,
+  GraphQLList,
+  GraphQLNonNull,
+} from 'graphql/type/definition';
+import type { GraphQLInputType } from 'graphql/type/definition';
+import type { ValueNode } from 'graphql/language/ast';
+
+
+/**
+ * Constraints the value of an input object field or argument must satisfy,
+ * in addition to being of the right type.
+ *
+ * min, max:
+ *    The smallest and largest number allowed.
+ * minLength, maxLength:
+ *    The smallest and largest length of a string allowed.
+ * pattern:
+ *    A regular expression a string must match.
+ * oneOf:
+ *    The only values allowed, e.g. a subset of the values of an enum.
+ * validate:
+ *    Called with the value and returns `false` or a message describing the
+ *    problem if the value is not allowed.
+ */
+export type InputConstraints = {
+  min?: ?number;
+  max?: ?number;
+  minLength?: ?number;
+  maxLength?: ?number;
+  pattern?: ?RegExp;
+  oneOf?: ?Array<mixed>;
+  validate?: ?(value: mixed) => mixed;
+};
+
+/**
+ * The additional properties of the config of an input object field that are
+ * applied to the values provided for it. The configs of the arguments of a
+ * field are given by its `argConfigs`, as GraphQL.js does not keep the
+ * additional properties of argument configs.
+ *
+ * transform:
+ *    Called with the value, returns the value passed on to the resolver
+ *    instead, e.g. a trimmed string. Constraints are checked afterwards.
+ * constraints:
+ *    See `InputConstraints`.
+ *
+ * Both are applied to non-null values only, and to each item of a list.
+ */
+export type InputValueConfig = {
+  transform?: ?(value: mixed) => mixed;
+  constraints?: ?InputConstraints;
+};
+
+export type InputErrorCallback = (
+  path: string,
+  value: mixed,
+  reason: string
+) => void;
+
+/**
+ * Transforms a coerced value and checks its constraints as configured for
+ * the field or argument it was provided for, reporting every problem found.
+ * The fields of input objects are assumed to have been handled already.
+ *
+ * Returns the transformed value, or nothing if it is not allowed.
+ */
+export function applyInputValueConfig(
+  type: GraphQLInputType,
+  value: mixed,
+  config: ?InputValueConfig,
+  path: string,
+  onError: InputErrorCallback
+): mixed {
+  if (!config || !config.transform && !config.constraints) {
+    return value;
+  }
+  if (isNullish(value)) {
+    return value;
+  }
+  if (type instanceof GraphQLNonNull) {
+    return applyInputValueConfig(type.ofType, value, config, path, onError);
+  }
+  if (type instanceof GraphQLList && Array.isArray(value)) {
+    return mapItems(value, (item, index) => applyInputValueConfig(
+      type.ofType,
+      item,
+      config,
+      `${path}[${index}]`,
+      onError
+    ));
+  }
+
+  let result = value;
+  if (config.transform) {
+    try {
+      result = config.transform(value);
+    } catch (error) {
+      onError(path, value, error && error.message || String(error));
+      return;
+    }
+  }
+  if (config.constraints) {
+    const reason = checkConstraints(config.constraints, result);
+    if (reason) {
+      onError(path, result, reason);
+      return;
+    }
+  }
+  return result;
+}
+
+/**
+ * Like `applyInputValueConfig`, but also applies the config of each field of
+ * the input objects within the value of a literal first. Values of variables
+ * within the literal already had their input objects handled when the
+ * variable values were coerced, so only the given config applies to them.
+ */
+export function applyInputValueConfigDeep(
+  type: GraphQLInputType,
+  value: mixed,
+  valueNode: ?ValueNode,
+  config: ?InputValueConfig,
+  path: string,
+  onError: InputErrorCallback
+): mixed {
+  if (isNullish(value)) {
+    return value;
+  }
+  if (valueNode && valueNode.kind === Kind.VARIABLE) {
+    return applyInputValueConfig(type, value, config, path, onError);
+  }
+  const nullableType = type instanceof GraphQLNonNull ? type.ofType : type;
+  let result = value;
+  if (nullableType instanceof GraphQLList && Array.isArray(value)) {
+    // A single item may be provided instead of a list.
+    const itemNodes = valueNode && valueNode.kind === Kind.LIST ?
+      valueNode.values :
+      null;
+    result = mapItems(value, (item, index) => applyInputValueConfigDeep(
+      nullableType.ofType,
+      item,
+      itemNodes ? itemNodes[index] : valueNode,
+      null,
+      `${path}[${index}]`,
+      onError
+    ));
+  } else if (
+    nullableType instanceof GraphQLInputObjectType &&
+    typeof value === 'object'
+  ) {
+    const fields = nullableType.getFields();
+    const fieldNodes = Object.create(null);
+    if (valueNode && valueNode.kind === Kind.OBJECT) {
+      valueNode.fields.forEach(fieldNode => {
+        fieldNodes[fieldNode.name.value] = fieldNode.value;
+      });
+    }
+    const coercedObj = Object.create(null);
+    let isValid = true;
+    Object.keys(value).forEach(fieldName => {
+      const field = fields[fieldName];
+      const fieldValue = applyInputValueConfigDeep(
+        field.type,
+        (value: any)[fieldName],
+        fieldNodes[fieldName],
+        (field: any),
+        `${path}.${fieldName}`,
+        onError
+      );
+      if (fieldValue === undefined) {
+        isValid = false;
+      }
+      coercedObj[fieldName] = fieldValue;
+    });
+    result = isValid ? coercedObj : undefined;
+  }
+  if (result === undefined) {
+    return;
+  }
+  return applyInputValueConfig(nullableType, result, config, path, onError);
+}
+
+// Returns a new list of the results of the callback for each item, or
+// nothing if any of the results is nothing.
+function mapItems(
+  items: Array<mixed>,
+  callback: (item: mixed, index: number) => mixed
+): ?Array<mixed> {
+  let isValid = true;
+  const results = items.map((item, index) => {
+    const result = callback(item, index);
+    if (result === undefined) {
+      isValid = false;
+    }
+    return result;
+  });
+  return isValid ? results : undefined;
+}
+
+// Returns a description of the first constraint the value does not satisfy.
+function checkConstraints(
+  constraints: InputConstraints,
+  value: mixed
+): ?string {
+  const {
+    min,
+    max,
+    minLength,
+    maxLength,
+    pattern,
+    oneOf,
+    validate,
+  } = constraints;
+  if (typeof value === 'number') {
+    if (!isNullish(min) && value < min) {
+      return `Expected a value of at least ${String(min)}.`;
+    }
+    if (!isNullish(max) && value > max) {
+      return `Expected a value of at most ${String(max)}.`;
+    }
+  }
+  if (typeof value === 'string') {
+    if (!isNullish(minLength) && value.length < minLength) {
+      return `Expected a length of at least ${String(minLength)}.`;
+    }
+    if (!isNullish(maxLength) && value.length > maxLength) {
+      return `Expected a length of at most ${String(maxLength)}.`;
+    }
+    if (pattern && !pattern.test(value)) {
+      return `Expected a value matching ${String(pattern)}.`;
+    }
+  }
+  if (oneOf && oneOf.indexOf(value) === -1) {
+    return 'Expected one of ' +
+      oneOf.map(allowed => JSON.stringify(allowed)).join(', ') + '.';
+  }
+  if (validate) {
+    let result;
+    try {
+      result = validate(value);
+    } catch (error) {
+      return error && error.message || String(error);
+    }
+    if (result === false) {
+      return 'Expected a valid value.';
+    }
+    if (typeof result === 'string') {
+      return result;
+    }
+  }
+}
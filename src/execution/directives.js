@@ -0,0 +1,100 @@
+/* @flow */
+
+import isNullish from 'graphql/jsutils/isNullish';
+import type {
+  GraphQLFieldResolver,
+  GraphQLResolveInfo,
+} from 'graphql/type/definition';
+
+
+/**
+ * Executes a directive of the schema when it is applied to a field of an
+ * operation, e.g. `name @uppercase` or `birthday @date(format: "YYYY")`.
+ * The arguments of the directive are passed to its handlers.
+ *
+ * resolve:
+ *    Called around the resolver of the field like a middleware, with the
+ *    next resolver in the chain followed by the arguments of the resolver
+ *    and the arguments of the directive. Can be used to e.g. check
+ *    permissions before the field is resolved.
+ * complete:
+ *    Called with the completed value of the field, unless it is null, and
+ *    returns the value sent to the client instead.
+ *
+ * A function is a shorthand for a handler only defining `complete`.
+ */
+export type DirectiveResolver =
+  ((
+    value: mixed,
+    directiveArgs: {[argName: string]: mixed},
+    context: mixed,
+    info: GraphQLResolveInfo
+  ) => mixed) |
+  {
+    resolve?: ?(
+      next: GraphQLFieldResolver<any, any>,
+      source: mixed,
+      args: {[argName: string]: mixed},
+      context: mixed,
+      info: GraphQLResolveInfo,
+      directiveArgs: {[argName: string]: mixed}
+    ) => mixed;
+    complete?: ?(
+      value: mixed,
+      directiveArgs: {[argName: string]: mixed},
+      context: mixed,
+      info: GraphQLResolveInfo
+    ) => mixed;
+  };
+
+/**
+ * A directive applied to a field, along with the values of its arguments.
+ */
+export type FieldDirective = {
+  resolver: DirectiveResolver;
+  args: {[argName: string]: mixed};
+};
+
+/**
+ * Wraps the resolver of a field in the `resolve` handlers of the directives
+ * applied to it. The first directive is called first.
+ */
+export function applyDirectiveResolvers(
+  directives: Array<FieldDirective>,
+  resolveFn: GraphQLFieldResolver<any, any>
+): GraphQLFieldResolver<any, any> {
+  let resolve = resolveFn;
+  for (let i = directives.length - 1; i >= 0; i--) {
+    const { resolver, args: directiveArgs } = directives[i];
+    const wrapper = typeof resolver === 'function' ? null : resolver.resolve;
+    if (wrapper) {
+      const next = resolve;
+      resolve = (source, args, context, info) =>
+        wrapper(next, source, args, context, info, directiveArgs);
+    }
+  }
+  return resolve;
+}
+
+/**
+ * Passes the completed value of a field through the `complete` handlers of
+ * the directives applied to it, in the order they are applied.
+ */
+export function completeWithDirectives(
+  directives: Array<FieldDirective>,
+  value: mixed,
+  context: mixed,
+  info: GraphQLResolveInfo
+): mixed {
+  let result = value;
+  for (let i = 0; i < directives.length && !isNullish(result); i++) {
+    const { resolver, args } = directives[i];
+    const complete = typeof resolver === 'function' ?
+      resolver :
+      resolver.complete;
+    if (complete) {
+      result = complete(result, args, context, info);
+    }
+  }
+  return result;
+}
@@ -10,13 +10,33 @@
 
 import { forEach, isCollection } from 'iterall';
 
-import { GraphQLError, locatedError } from 'graphql/error';
+import { GraphQLError } from 'graphql/error';
 import find from 'graphql/jsutils/find';
 import invariant from 'graphql/jsutils/invariant';
 import isNullish from 'graphql/jsutils/isNullish';
 import { typeFromAST } from 'graphql/utilities/typeFromAST';
 import * as Kind from 'graphql/language/kinds';
 import { getVariableValues, getArgumentValues } from './values';
+import { applyMiddleware, hasMiddleware } from './middleware';
+import {
+  applyDirectiveResolvers,
+  completeWithDirectives,
+} from './directives';
+import { Tracer } from './tracing';
+import {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+  createSubsequentResults,
+} from './incremental';
+import {
+  createCachePolicy,
+  formatCachePolicy,
+  restrictCachePolicy,
+} from './cacheControl';
+import { runHooks, runWillExecute, resolveWithPlugins } from './plugins';
+import { createErrorFormatter } from '../error/formatErrors';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import { locatedError } from '../error/locatedError';
 import {
   GraphQLObjectType,
   GraphQLList,
@@ -51,7 +71,20 @@ import type {
   FieldNode,
   InlineFragmentNode,
   FragmentDefinitionNode,
+  FragmentSpreadNode,
 } from 'graphql/language/ast';
+import type { Middleware } from './middleware';
+import type { DirectiveResolver, FieldDirective } from './directives';
+import type { Plugin } from './plugins';
+import type { CachePolicy } from './cacheControl';
+import type {
+  IncrementalExecutionResults,
+  IncrementalRecord,
+} from './incremental';
+import type {
+  ErrorFormattingOptions,
+  ErrorFormatter,
+} from '../error/formatErrors';
 
 
 /**
@@ -89,6 +122,90 @@ export type ExecutionContext = {
   variableValues: {[key: string]: mixed};
   fieldResolver: GraphQLFieldResolver<any, any>;
   errors: Array<GraphQLError>;
+  middleware: Array<Middleware>;
+  resolvers: {[coordinate: string]: GraphQLFieldResolver<any, any>};
+  tracer: ?Tracer;
+  plugins: Array<Plugin>;
+  batches: Map<FieldNode, Batch>;
+  formatErrors: ?ErrorFormatter;
+  directiveResolvers: ?{[directiveName: string]: DirectiveResolver};
+  fieldDirectives: Map<FieldNode, ?Array<FieldDirective>>;
+  argumentValues: Map<
+    FieldNode,
+    Map<GraphQLField<any, any>, {[argName: string]: mixed}>
+  >;
+  deadline: ?number;
+  cancellationToken: ?{ +cancelled: boolean };
+  stopped: ?ExecutionStop;
+  cachePolicy: ?CachePolicy;
+  defaultMaxAge: number;
+  incremental: boolean;
+  deferred: Array<IncrementalRecord>;
+};
+
+/**
+ * A field can define a `batchResolve` function instead of `resolve`, which is
+ * called with a list of source values and returns a list of the same length
+ * containing the result for each source.
+ *
+ * When completing a list of objects, the `batchResolve` function of each of
+ * their fields is called once with all items of the list. Elsewhere, it is
+ * called with only the one source value. Middleware is called for each
+ * source, after the results have been resolved.
+ */
+export type GraphQLBatchFieldResolver<TSource, TContext> = (
+  sources: Array<TSource>,
+  args: {[argName: string]: mixed},
+  context: TContext,
+  info: GraphQLResolveInfo
+) => Array<mixed>;
+
+/**
+ * Options changing how an operation is executed, which can be passed to
+ * `execute` along with its named arguments.
+ *
+ * middleware:
+ *    Functions called around the resolvers of the fields they apply to,
+ *    see `Middleware`.
+ * tracing:
+ *    Record how long the resolver of each field takes and return it in the
+ *    `tracing` entry of the result extensions, in the Apollo Tracing format.
+ *    A Tracer can be passed to also include timings recorded before.
+ * plugins:
+ *    Hooks called during execution, see `Plugin`.
+ * maskErrors, logError, formatError:
+ *    Control which errors are sent to the client and how, see
+ *    `ErrorFormattingOptions`.
+ * directiveResolvers:
+ *    A mapping of the names of directives of the schema to the handlers
+ *    executing them when they are applied to fields, see `DirectiveResolver`.
+ * deadline:
+ *    The time (in milliseconds since the epoch, like `Date.now()`) after
+ *    which no more fields are resolved. The fields not resolved yet are null
+ *    and a TIMEOUT error is returned for the first of them.
+ * cancellationToken:
+ *    Stops execution like `deadline` once its `cancelled` property is true,
+ *    returning a CANCELLED error instead, see `CancellationToken`.
+ * cacheControl:
+ *    Work out how long the result may be cached from the hints of the fields
+ *    resolved, see `CacheHint`, and return it in the `cacheControl` entry of
+ *    the result extensions. `defaultMaxAge` (0 if not given) applies to root
+ *    fields and fields returning objects which have no hint.
+ * incremental:
+ *    Deliver fragments with the @defer directive and the items of list
+ *    fields with the @stream directive in subsequent payloads, see
+ *    `IncrementalExecutionResults`.
+ */
+export type ExecutionOptions = {
+  middleware?: ?Array<Middleware>;
+  tracing?: ?(boolean | Tracer);
+  plugins?: ?Array<Plugin>;
+  directiveResolvers?: ?{[directiveName: string]: DirectiveResolver};
+  deadline?: ?number;
+  cancellationToken?: ?{ +cancelled: boolean };
+  cacheControl?: ?(boolean | { defaultMaxAge?: ?number });
+  incremental?: ?boolean;
+  ...ErrorFormattingOptions;
 };
 
 /**
@@ -96,10 +213,13 @@ export type ExecutionContext = {
  *
  *   - `errors` is included when any errors occurred as a non-empty array.
  *   - `data` is the result of a successful execution of the query.
+ *   - `extensions` is included when additional information about the
+ *     execution, such as its estimated cost, was requested.
  */
 export type ExecutionResult = {
   errors?: Array<GraphQLError>;
   data?: ?{[key: string]: mixed};
+  extensions?: {[key: string]: mixed};
 };
 
 /**
@@ -117,8 +237,9 @@ declare function execute({|
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-|}, ..._: []): ExecutionResult;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  ...ExecutionOptions
+|}, ..._: []): ExecutionResult | IncrementalExecutionResults;
 /* eslint-disable no-redeclare */
 declare function execute(
   schema: GraphQLSchema,
@@ -150,6 +271,7 @@ export function execute(
       args.variableValues,
       args.operationName,
       args.fieldResolver,
+      args,
     ) :
     executeImpl(
       schema,
@@ -159,6 +281,7 @@ export function execute(
       variableValues,
       operationName,
       fieldResolver,
+      {},
     );
 }
 
@@ -169,7 +292,8 @@ function executeImpl(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  options
 ) {
   // If arguments are missing or incorrect, throw an error.
   assertValidExecutionArguments(
@@ -180,19 +304,27 @@ function executeImpl(
 
   // If a valid context cannot be created due to incorrect arguments,
   // a "Response" with only errors is returned.
-  let context;
-  try {
-    context = buildExecutionContext(
-      schema,
-      document,
-      rootValue,
-      contextValue,
-      variableValues,
-      operationName,
-      fieldResolver
+  const context = buildExecutionContext(
+    schema,
+    document,
+    rootValue,
+    contextValue,
+    variableValues,
+    operationName,
+    fieldResolver,
+    options
+  );
+  if (Array.isArray(context)) {
+    return sendResult(
+      { errors: context },
+      options.plugins || [],
+      createErrorFormatter(options)
     );
-  } catch (error) {
-    return { errors: [ error ] };
+  }
+
+  const earlyResult = runWillExecute(context.plugins, context);
+  if (earlyResult) {
+    return buildExecutionResult(context, undefined, earlyResult);
   }
 
   // Return the data described by
@@ -202,9 +334,73 @@ function executeImpl(
   // field and its descendants will be omitted, and sibling fields will still
   // be executed. An execution which encounters errors will still not throw.
   const data = executeOperation(context, context.operation, rootValue);
-  return context.errors.length === 0 ?
-    { data } :
-    { errors: context.errors, data };
+  return buildExecutionResult(context, data);
+}
+
+/**
+ * Collects the outcome of an execution into an ExecutionResult, unless the
+ * result was provided by a plugin, and lets plugins have the final say.
+ *
+ * If anything was deferred, it becomes the initial result followed by the
+ * results executing what was deferred.
+ */
+export function buildExecutionResult(
+  exeContext: ExecutionContext,
+  data: ?{[key: string]: mixed},
+  pluginResult?: ?ExecutionResult
+): ExecutionResult | IncrementalExecutionResults {
+  let result: ExecutionResult;
+  if (pluginResult) {
+    result = pluginResult;
+  } else {
+    result = exeContext.errors.length === 0 ?
+      { data } :
+      { errors: exeContext.errors, data };
+  }
+  if (exeContext.tracer) {
+    exeContext.tracer.end();
+    result = {
+      ...result,
+      extensions: { ...result.extensions, tracing: exeContext.tracer.format() }
+    };
+  }
+  if (exeContext.cachePolicy) {
+    result = {
+      ...result,
+      extensions: {
+        ...result.extensions,
+        cacheControl: formatCachePolicy(exeContext.cachePolicy)
+      }
+    };
+  }
+  const finalResult = sendResult(
+    result,
+    exeContext.plugins,
+    exeContext.formatErrors
+  );
+  if (exeContext.deferred.length === 0) {
+    return finalResult;
+  }
+  return {
+    initialResult: { ...finalResult, hasNext: true },
+    subsequentResults: createSubsequentResults(exeContext),
+  };
+}
+
+/**
+ * Lets plugins have the final say about a result before its errors are
+ * formatted for the client.
+ */
+export function sendResult(
+  result: ExecutionResult,
+  plugins: Array<Plugin>,
+  formatErrors: ?ErrorFormatter
+): ExecutionResult {
+  const finalResult = runHooks(plugins, 'willSendResult', result);
+  if (!formatErrors || !finalResult.errors) {
+    return finalResult;
+  }
+  return { ...finalResult, errors: formatErrors(finalResult.errors) };
 }
 
 /**
@@ -261,7 +457,8 @@ export function assertValidExecutionArguments(
  * Constructs a ExecutionContext object from the arguments passed to
  * execute, which we will pass throughout the other execution methods.
  *
- * Throws a GraphQLError if a valid execution context cannot be created.
+ * Returns a list of GraphQLErrors if a valid execution context cannot be
+ * created.
  */
 export function buildExecutionContext(
   schema: GraphQLSchema,
@@ -270,9 +467,92 @@ export function buildExecutionContext(
   contextValue: mixed,
   rawVariableValues: ?{[key: string]: mixed},
   operationName: ?string,
-  fieldResolver: ?GraphQLFieldResolver<any, any>
+  fieldResolver: ?GraphQLFieldResolver<any, any>,
+  options?: ?ExecutionOptions
+): Array<GraphQLError> | ExecutionContext {
+  let operationAndFragments;
+  try {
+    operationAndFragments = getOperationAndFragments(document, operationName);
+  } catch (error) {
+    return [ error ];
+  }
+  const { operation, fragments } = operationAndFragments;
+  const coercedVariableValues = getVariableValues(
+    schema,
+    operation.variableDefinitions || [],
+    rawVariableValues || {}
+  );
+  if (coercedVariableValues.errors) {
+    return coercedVariableValues.errors;
+  }
+
+  return createExecutionContext(
+    schema,
+    fragments,
+    rootValue,
+    contextValue,
+    operation,
+    (coercedVariableValues.coerced: any),
+    fieldResolver,
+    options
+  );
+}
+
+export function createExecutionContext(
+  schema: GraphQLSchema,
+  fragments: {[key: string]: FragmentDefinitionNode},
+  rootValue: mixed,
+  contextValue: mixed,
+  operation: OperationDefinitionNode,
+  variableValues: {[key: string]: mixed},
+  fieldResolver: ?GraphQLFieldResolver<any, any>,
+  options: ?ExecutionOptions
 ): ExecutionContext {
-  const errors: Array<GraphQLError> = [];
+  return {
+    schema,
+    fragments,
+    rootValue,
+    contextValue,
+    operation,
+    variableValues,
+    fieldResolver: fieldResolver || defaultFieldResolver,
+    errors: [],
+    middleware: options && options.middleware || [],
+    resolvers: Object.create(null),
+    tracer: options && options.tracing instanceof Tracer ?
+      options.tracing :
+      options && options.tracing ? new Tracer() : null,
+    plugins: options && options.plugins || [],
+    batches: new Map(),
+    formatErrors: createErrorFormatter(options),
+    directiveResolvers: options && options.directiveResolvers,
+    fieldDirectives: new Map(),
+    argumentValues: new Map(),
+    deadline: options && !isNullish(options.deadline) ? options.deadline : null,
+    cancellationToken: options && options.cancellationToken,
+    stopped: null,
+    cachePolicy: options && options.cacheControl ? createCachePolicy() : null,
+    defaultMaxAge: options && options.cacheControl &&
+      typeof options.cacheControl === 'object' &&
+      options.cacheControl.defaultMaxAge || 0,
+    incremental: Boolean(options && options.incremental),
+    deferred: [],
+  };
+}
+
+/**
+ * Finds the operation to execute in the given document and collects the
+ * fragments it defines.
+ *
+ * Throws a GraphQLError if no single operation can be selected.
+ */
+export function getOperationAndFragments(
+  document: DocumentNode,
+  operationName: ?string
+): {
+  operation: OperationDefinitionNode,
+  fragments: {[key: string]: FragmentDefinitionNode}
+} {
   let operation: ?OperationDefinitionNode;
   const fragments: {[name: string]: FragmentDefinitionNode} =
     Object.create(null);
@@ -280,9 +560,9 @@ export function buildExecutionContext(
     switch (definition.kind) {
       case Kind.OPERATION_DEFINITION:
         if (!operationName && operation) {
-          throw new GraphQLError(
+          throw withCode(new GraphQLError(
             'Must provide operation name if query contains multiple operations.'
-          );
+          ), ErrorCode.OPERATION_NOT_FOUND);
         }
         if (!operationName ||
             definition.name && definition.name.value === operationName) {
@@ -292,68 +572,246 @@ export function buildExecutionContext(
       case Kind.FRAGMENT_DEFINITION:
         fragments[definition.name.value] = definition;
         break;
-      default: throw new GraphQLError(
+      default: throw withCode(new GraphQLError(
         `GraphQL cannot execute a request containing a ${definition.kind}.`,
         [ definition ]
-      );
+      ), ErrorCode.GRAPHQL_VALIDATION_FAILED);
     }
   });
   if (!operation) {
     if (operationName) {
-      throw new GraphQLError(`Unknown operation named "${operationName}".`);
+      throw withCode(
+        new GraphQLError(`Unknown operation named "${operationName}".`),
+        ErrorCode.OPERATION_NOT_FOUND
+      );
     } else {
-      throw new GraphQLError('Must provide an operation.');
+      throw withCode(
+        new GraphQLError('Must provide an operation.'),
+        ErrorCode.OPERATION_NOT_FOUND
+      );
     }
   }
-  const variableValues = getVariableValues(
+  return { operation, fragments };
+}
+
+/**
+ * The document-level work of an execution that does not depend on the root
+ * value, context value or variables, so it can be done once and reused by
+ * `executePrepared`.
+ *
+ * `rootFields` is only computed ahead of time if none of the root selections
+ * are conditionally included based on a variable, and nothing may be
+ * deferred.
+ */
+export type PreparedOperation = {
+  schema: GraphQLSchema;
+  fragments: {[key: string]: FragmentDefinitionNode};
+  operation: OperationDefinitionNode;
+  rootType: GraphQLObjectType;
+  rootFields: ?{[key: string]: Array<FieldNode>};
+  fieldResolver: ?GraphQLFieldResolver<any, any>;
+  options: ExecutionOptions;
+};
+
+/**
+ * Selects the operation to execute from an already validated document and
+ * collects its root fields.
+ *
+ * Throws a GraphQLError if the operation cannot be executed against the
+ * schema.
+ */
+export function prepareOperation(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  operationName: ?string,
+  fieldResolver: ?GraphQLFieldResolver<any, any>,
+  options?: ?ExecutionOptions
+): PreparedOperation {
+  const { operation, fragments } = getOperationAndFragments(
+    document,
+    operationName
+  );
+  const rootType = getOperationRootType(schema, operation);
+  const rootFields =
+    options && options.incremental ||
+    hasVariableDirectives(operation.selectionSet, fragments) ?
+    null :
+    collectFields(
+      createExecutionContext(
+        schema,
+        fragments,
+        undefined,
+        undefined,
+        operation,
+        {},
+        fieldResolver,
+        options
+      ),
+      rootType,
+      operation.selectionSet,
+      Object.create(null),
+      Object.create(null)
+    );
+
+  return {
+    schema,
+    fragments,
+    operation,
+    rootType,
+    rootFields,
+    fieldResolver,
+    options: options || {},
+  };
+}
+
+/**
+ * Executes an operation previously prepared with `prepareOperation` using the
+ * given root value, context value and variables.
+ */
+export function executePrepared(
+  prepared: PreparedOperation,
+  rootValue: mixed,
+  contextValue: mixed,
+  rawVariableValues: ?{[key: string]: mixed}
+): ExecutionResult | IncrementalExecutionResults {
+  invariant(
+    !rawVariableValues || typeof rawVariableValues === 'object',
+    'Variables must be provided as an Object where each property is a ' +
+    'variable value. Perhaps look to see if an unparsed JSON string ' +
+    'was provided.'
+  );
+
+  const { schema, fragments, operation, fieldResolver } = prepared;
+  const coercedVariableValues = getVariableValues(
     schema,
     operation.variableDefinitions || [],
     rawVariableValues || {}
   );
-
-  return {
+  if (coercedVariableValues.errors) {
+    return sendResult(
+      { errors: coercedVariableValues.errors },
+      prepared.options.plugins || [],
+      createErrorFormatter(prepared.options)
+    );
+  }
+  const context = createExecutionContext(
     schema,
     fragments,
     rootValue,
     contextValue,
     operation,
-    variableValues,
-    fieldResolver: fieldResolver || defaultFieldResolver,
-    errors,
-  };
+    (coercedVariableValues.coerced: any),
+    fieldResolver,
+    prepared.options
+  );
+
+  const earlyResult = runWillExecute(context.plugins, context);
+  if (earlyResult) {
+    return buildExecutionResult(context, undefined, earlyResult);
+  }
+
+  // A plugin may have replaced the operation, which was not prepared.
+  if (context.operation !== operation) {
+    return buildExecutionResult(
+      context,
+      executeOperation(context, context.operation, rootValue)
+    );
+  }
+
+  const data = executeOperation(
+    context,
+    operation,
+    rootValue,
+    prepared.rootType,
+    prepared.rootFields
+  );
+  return buildExecutionResult(context, data);
+}
+
+/**
+ * Determines whether any of the selections that are collected together with
+ * the given selection set are conditionally included based on a variable.
+ */
+function hasVariableDirectives(
+  selectionSet: SelectionSetNode,
+  fragments: {[key: string]: FragmentDefinitionNode},
+  visitedFragmentNames?: {[key: string]: boolean} = Object.create(null)
+): boolean {
+  return selectionSet.selections.some(selection => {
+    const usesVariable = selection.directives &&
+      selection.directives.some(directive =>
+        directive.arguments &&
+        directive.arguments.some(arg => arg.value.kind === Kind.VARIABLE)
+      );
+    if (usesVariable) {
+      return true;
+    }
+    switch (selection.kind) {
+      case Kind.INLINE_FRAGMENT:
+        return hasVariableDirectives(
+          selection.selectionSet,
+          fragments,
+          visitedFragmentNames
+        );
+      case Kind.FRAGMENT_SPREAD:
+        const fragName = selection.name.value;
+        const fragment = fragments[fragName];
+        if (visitedFragmentNames[fragName] || !fragment) {
+          return false;
+        }
+        visitedFragmentNames[fragName] = true;
+        return hasVariableDirectives(
+          fragment.selectionSet,
+          fragments,
+          visitedFragmentNames
+        );
+      default:
+        return false;
+    }
+  });
 }
 
 /**
  * Implements the "Evaluating operations" section of the spec.
  */
-function executeOperation(
+export function executeOperation(
   exeContext: ExecutionContext,
   operation: OperationDefinitionNode,
-  rootValue: mixed
+  rootValue: mixed,
+  rootType?: ?GraphQLObjectType,
+  rootFields?: ?{[key: string]: Array<FieldNode>}
 ): ?{[key: string]: mixed} {
-  const type = getOperationRootType(exeContext.schema, operation);
-  const fields = collectFields(
-    exeContext,
-    type,
-    operation.selectionSet,
-    Object.create(null),
-    Object.create(null)
-  );
-
-  const path = undefined;
-
   // Errors from sub-fields of a NonNull type may propagate to the top level,
   // at which point we still log the error and null the parent field, which
-  // in this case is the entire response.
+  // in this case is the entire response. The same applies to an operation
+  // the schema has no root type for.
   //
   // Similar to completeValueCatchingError.
   try {
+    const type = rootType ||
+      getOperationRootType(exeContext.schema, operation);
+    const deferred = exeContext.incremental ? [] : null;
+    const fields = rootFields || collectFields(
+      exeContext,
+      type,
+      operation.selectionSet,
+      Object.create(null),
+      Object.create(null),
+      deferred
+    );
+
+    const path = undefined;
+    if (deferred) {
+      deferFields(exeContext, type, rootValue, path, deferred);
+    }
+
     const result = operation.operation === 'mutation' ?
       executeFieldsSerially(exeContext, type, rootValue, path, fields) :
       executeFields(exeContext, type, rootValue, path, fields);
     return result;
   } catch (error) {
     exeContext.errors.push(error);
+    exeContext.deferred.length = 0;
     return null;
   }
 }
@@ -371,29 +829,92 @@ export function getOperationRootType(
     case 'mutation':
       const mutationType = schema.getMutationType();
       if (!mutationType) {
-        throw new GraphQLError(
+        throw withCode(new GraphQLError(
           'Schema is not configured for mutations',
           [ operation ]
-        );
+        ), ErrorCode.OPERATION_NOT_SUPPORTED);
       }
       return mutationType;
     case 'subscription':
       const subscriptionType = schema.getSubscriptionType();
       if (!subscriptionType) {
-        throw new GraphQLError(
+        throw withCode(new GraphQLError(
           'Schema is not configured for subscriptions',
           [ operation ]
-        );
+        ), ErrorCode.OPERATION_NOT_SUPPORTED);
       }
       return subscriptionType;
     default:
-      throw new GraphQLError(
+      throw withCode(new GraphQLError(
         'Can only execute queries, mutations and subscriptions',
         [ operation ]
-      );
+      ), ErrorCode.OPERATION_NOT_SUPPORTED);
   }
 }
 
+// Why execution was stopped, and the errors it was reported to.
+type ExecutionStop = {
+  message: string;
+  code: string;
+  reportedTo: ?Array<GraphQLError>;
+};
+
+/**
+ * Determines whether no more fields are to be resolved because the deadline
+ * has passed or execution was cancelled, in which case the field or list
+ * item at the given path is skipped and completed as null.
+ *
+ * Like any field error, skipping a non-null field or item throws an error,
+ * which propagates to the nearest nullable parent. Otherwise, an error is
+ * only reported for the first one skipped.
+ */
+export function isExecutionStopped(
+  exeContext: ExecutionContext,
+  isNonNull: boolean,
+  fieldNodes: Array<FieldNode>,
+  path: ResponsePath
+): boolean {
+  let stopped = exeContext.stopped;
+  if (!stopped) {
+    const { deadline, cancellationToken } = exeContext;
+    if (cancellationToken && cancellationToken.cancelled) {
+      stopped = {
+        message: 'Execution was cancelled.',
+        code: ErrorCode.CANCELLED,
+        reportedTo: null,
+      };
+    } else if (deadline !== null && Date.now() >= deadline) {
+      stopped = {
+        message: 'Execution timed out.',
+        code: ErrorCode.TIMEOUT,
+        reportedTo: null,
+      };
+    } else {
+      return false;
+    }
+    exeContext.stopped = stopped;
+  }
+
+  // Errors of subsequent payloads are collected separately.
+  const reported = stopped.reportedTo === exeContext.errors;
+  if (!isNonNull && reported) {
+    return true;
+  }
+  stopped.reportedTo = exeContext.errors;
+  const error = withCode(new GraphQLError(
+    stopped.message,
+    fieldNodes,
+    undefined,
+    undefined,
+    responsePathAsArray(path)
+  ), stopped.code);
+  if (isNonNull) {
+    throw error;
+  }
+  exeContext.errors.push(error);
+  return true;
+}
+
 /**
  * Implements the "Evaluating selection sets" section of the spec
  * for "write" mode.
@@ -409,6 +930,15 @@ function executeFieldsSerially(
     (results, responseName) => {
       const fieldNodes = fields[responseName];
       const fieldPath = addPath(path, responseName);
+      if (isExecutionStopped(
+        exeContext,
+        isNonNullField(exeContext, parentType, fieldNodes),
+        fieldNodes,
+        fieldPath
+      )) {
+        results[responseName] = null;
+        return results;
+      }
       const result = resolveField(
         exeContext,
         parentType,
@@ -441,6 +971,15 @@ function executeFields(
     (results, responseName) => {
       const fieldNodes = fields[responseName];
       const fieldPath = addPath(path, responseName);
+      if (isExecutionStopped(
+        exeContext,
+        isNonNullField(exeContext, parentType, fieldNodes),
+        fieldNodes,
+        fieldPath
+      )) {
+        results[responseName] = null;
+        return results;
+      }
       const result = resolveField(
         exeContext,
         parentType,
@@ -460,6 +999,21 @@ function executeFields(
   return finalResults;
 }
 
+// Fields not defined by the parent type are not executed, so they are never
+// non-null.
+function isNonNullField(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldNodes: Array<FieldNode>
+): boolean {
+  const fieldDef = getFieldDef(
+    exeContext.schema,
+    parentType,
+    fieldNodes[0].name.value
+  );
+  return Boolean(fieldDef) && fieldDef.type instanceof GraphQLNonNull;
+}
+
 /**
  * Given a selectionSet, adds all of the fields in that selection to
  * the passed in map of fields, and returns it at the end.
@@ -467,13 +1021,17 @@ function executeFields(
  * CollectFields requires the "runtime type" of an object. For a field which
  * returns an Interface or Union type, the "runtime type" will be the actual
  * Object type returned by that field.
+ *
+ * If a list of deferred fragments is passed, the fields of fragments with
+ * the @defer directive are collected separately and added to it.
  */
 export function collectFields(
   exeContext: ExecutionContext,
   runtimeType: GraphQLObjectType,
   selectionSet: SelectionSetNode,
   fields: {[key: string]: Array<FieldNode>},
-  visitedFragmentNames: {[key: string]: boolean}
+  visitedFragmentNames: {[key: string]: boolean},
+  deferred?: ?Array<DeferredFragment>
 ): {[key: string]: Array<FieldNode>} {
   for (let i = 0; i < selectionSet.selections.length; i++) {
     const selection = selectionSet.selections[i];
@@ -493,12 +1051,14 @@ export function collectFields(
             !doesFragmentConditionMatch(exeContext, selection, runtimeType)) {
           continue;
         }
-        collectFields(
+        collectFragmentFields(
           exeContext,
           runtimeType,
+          selection,
           selection.selectionSet,
           fields,
-          visitedFragmentNames
+          visitedFragmentNames,
+          deferred
         );
         break;
       case Kind.FRAGMENT_SPREAD:
@@ -513,12 +1073,14 @@ export function collectFields(
             !doesFragmentConditionMatch(exeContext, fragment, runtimeType)) {
           continue;
         }
-        collectFields(
+        collectFragmentFields(
           exeContext,
           runtimeType,
+          selection,
           fragment.selectionSet,
           fields,
-          visitedFragmentNames
+          visitedFragmentNames,
+          deferred
         );
         break;
     }
@@ -526,6 +1088,80 @@ export function collectFields(
   return fields;
 }
 
+/**
+ * A fragment with the @defer directive, whose fields are executed after the
+ * other fields of the object they are selected on.
+ */
+export type DeferredFragment = {
+  label: ?string;
+  fields: {[key: string]: Array<FieldNode>};
+};
+
+// Collects the fields of a fragment spread or inline fragment, separately
+// if it is deferred.
+function collectFragmentFields(
+  exeContext: ExecutionContext,
+  runtimeType: GraphQLObjectType,
+  selection: FragmentSpreadNode | InlineFragmentNode,
+  selectionSet: SelectionSetNode,
+  fields: {[key: string]: Array<FieldNode>},
+  visitedFragmentNames: {[key: string]: boolean},
+  deferred: ?Array<DeferredFragment>
+): void {
+  const deferNode = deferred && selection.directives && find(
+    selection.directives,
+    directive => directive.name.value === GraphQLDeferDirective.name
+  );
+  if (deferred && deferNode) {
+    const { if: deferIf, label } = getArgumentValues(
+      GraphQLDeferDirective,
+      deferNode,
+      exeContext.variableValues
+    );
+    if (deferIf !== false) {
+      const deferredFragment = { label, fields: Object.create(null) };
+      deferred.push(deferredFragment);
+      collectFields(
+        exeContext,
+        runtimeType,
+        selectionSet,
+        deferredFragment.fields,
+        visitedFragmentNames,
+        deferred
+      );
+      return;
+    }
+  }
+  collectFields(
+    exeContext,
+    runtimeType,
+    selectionSet,
+    fields,
+    visitedFragmentNames,
+    deferred
+  );
+}
+
+// Records the deferred fragments selected on an object, to be executed once
+// the payload delivering them is requested.
+function deferFields(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  sourceValue: mixed,
+  path: ResponsePath,
+  deferred: Array<DeferredFragment>
+): void {
+  deferred.forEach(({ label, fields }) => {
+    exeContext.deferred.push({
+      label,
+      path,
+      isStream: false,
+      execute: () =>
+        executeFields(exeContext, parentType, sourceValue, path, fields),
+    });
+  });
+}
+
 /**
  * Determines if a field should be included based on the @include and @skip
  * directives, where @skip has higher precidence than @include.
@@ -617,8 +1253,6 @@ function resolveField(
     return;
   }
 
-  const resolveFn = fieldDef.resolve || exeContext.fieldResolver;
-
   const info = buildResolveInfo(
     exeContext,
     fieldDef,
@@ -627,6 +1261,39 @@ function resolveField(
     path
   );
 
+  if (exeContext.cachePolicy && !fieldName.startsWith('__')) {
+    restrictCachePolicy(
+      exeContext.cachePolicy,
+      fieldDef,
+      !path.prev,
+      exeContext.defaultMaxAge
+    );
+  }
+
+  let directives;
+  try {
+    directives = getFieldDirectives(exeContext, fieldNode);
+  } catch (error) {
+    return completeValueCatchingError(
+      exeContext,
+      fieldDef.type,
+      fieldNodes,
+      info,
+      path,
+      error
+    );
+  }
+
+  const resolveFn = directives ?
+    applyDirectiveResolvers(
+      directives,
+      getFieldResolver(exeContext, parentType, fieldDef)
+    ) :
+    getFieldResolver(exeContext, parentType, fieldDef);
+
+  const tracer = exeContext.tracer;
+  const startOffset = tracer ? tracer.now() : 0;
+
   // Get the resolve function, regardless of if its result is normal
   // or abrupt (error).
   const result = resolveFieldValueOrError(
@@ -638,14 +1305,316 @@ function resolveField(
     info
   );
 
+  if (tracer) {
+    tracer.recordResolver(
+      responsePathAsArray(path),
+      parentType,
+      fieldName,
+      fieldDef.type,
+      startOffset
+    );
+  }
+
   return completeValueCatchingError(
     exeContext,
     fieldDef.type,
     fieldNodes,
     info,
     path,
-    result
+    result,
+    directives
+  );
+}
+
+/**
+ * Returns the directives applied to a field that have a directive resolver,
+ * along with the values of their arguments, or nothing if there are none.
+ */
+export function getFieldDirectives(
+  exeContext: ExecutionContext,
+  fieldNode: FieldNode
+): ?Array<FieldDirective> {
+  const directiveResolvers = exeContext.directiveResolvers;
+  if (
+    !directiveResolvers ||
+    !fieldNode.directives ||
+    fieldNode.directives.length === 0
+  ) {
+    return;
+  }
+  if (exeContext.fieldDirectives.has(fieldNode)) {
+    return exeContext.fieldDirectives.get(fieldNode);
+  }
+  const directives = [];
+  fieldNode.directives.forEach(directiveNode => {
+    const name = directiveNode.name.value;
+    const resolver = directiveResolvers[name];
+    if (!resolver) {
+      return;
+    }
+    const directiveDef = exeContext.schema.getDirective(name);
+    const args = directiveDef ?
+      getArgumentValues(
+        directiveDef,
+        directiveNode,
+        exeContext.variableValues
+      ) :
+      {};
+    directives.push({ resolver, args });
+  });
+  const fieldDirectives = directives.length !== 0 ? directives : null;
+  exeContext.fieldDirectives.set(fieldNode, fieldDirectives);
+  return fieldDirectives;
+}
+
+/**
+ * Returns the argument values of a field, which are only coerced the first
+ * time the field is resolved, e.g. for the first item of a list, as the
+ * variable values don't change during execution. The same object is passed
+ * to the resolver for every item, so resolvers must not modify it.
+ */
+function getFieldArgumentValues(
+  exeContext: ExecutionContext,
+  fieldDef: GraphQLField<*, *>,
+  fieldNode: FieldNode
+): {[argName: string]: mixed} {
+  let fieldArgs = exeContext.argumentValues.get(fieldNode);
+  if (!fieldArgs) {
+    fieldArgs = new Map();
+    exeContext.argumentValues.set(fieldNode, fieldArgs);
+  }
+  let args = fieldArgs.get(fieldDef);
+  if (!args) {
+    args = getArgumentValues(fieldDef, fieldNode, exeContext.variableValues);
+    fieldArgs.set(fieldDef, args);
+  }
+  return args;
+}
+
+/**
+ * Returns the function resolving the given field, wrapped in the middleware
+ * applying to it. Introspection fields are never wrapped.
+ */
+export function getFieldResolver(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldDef: GraphQLField<*, *>
+): GraphQLFieldResolver<*, *> {
+  const batchResolveFn = (fieldDef: any).batchResolve;
+  const isIntrospection = fieldDef.name.slice(0, 2) === '__';
+  if (
+    !batchResolveFn &&
+    (exeContext.middleware.length === 0 || isIntrospection)
+  ) {
+    return fieldDef.resolve || exeContext.fieldResolver;
+  }
+  const coordinate = `${parentType.name}.${fieldDef.name}`;
+  let resolver = exeContext.resolvers[coordinate];
+  if (!resolver) {
+    resolver = batchResolveFn ?
+      createBatchedResolver(exeContext, parentType, fieldDef, batchResolveFn) :
+      fieldDef.resolve || exeContext.fieldResolver;
+    if (!isIntrospection) {
+      resolver = applyMiddleware(
+        exeContext.middleware,
+        parentType,
+        fieldDef.name,
+        resolver
+      );
+    }
+    exeContext.resolvers[coordinate] = resolver;
+  }
+  return resolver;
+}
+
+// The objects of a list a field is batched for, and once the field has been
+// resolved for the first of them, the result for each object.
+type Batch = {
+  sources: Set<mixed>;
+  results: ?Map<mixed, mixed>;
+};
+
+// Returns a resolver calling `batchResolve` with all objects of the batch the
+// source belongs to when the field is resolved for the first of them, and
+// looking up the results afterwards. Sources without a batch are resolved on
+// their own.
+function createBatchedResolver(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldDef: GraphQLField<*, *>,
+  batchResolveFn: GraphQLBatchFieldResolver<*, *>
+): GraphQLFieldResolver<*, *> {
+  return (source, args, context, info) => {
+    const batch = exeContext.batches.get(info.fieldNodes[0]);
+    if (batch && batch.sources.has(source)) {
+      let results = batch.results;
+      if (!results) {
+        results = resolveBatch(
+          parentType,
+          fieldDef,
+          batchResolveFn,
+          Array.from(batch.sources),
+          args,
+          context,
+          info
+        );
+        batch.results = results;
+      }
+      return results.get(source);
+    }
+    return callBatchResolver(
+      parentType,
+      fieldDef,
+      batchResolveFn,
+      [ source ],
+      args,
+      context,
+      info
+    )[0];
+  };
+}
+
+// Calls `batchResolve` with all objects of a batch, returning the result for
+// each of them, or the error it threw for all of them.
+function resolveBatch(
+  parentType: GraphQLObjectType,
+  fieldDef: GraphQLField<*, *>,
+  batchResolveFn: GraphQLBatchFieldResolver<*, *>,
+  sources: Array<mixed>,
+  args: {[argName: string]: mixed},
+  context: mixed,
+  info: GraphQLResolveInfo
+): Map<mixed, mixed> {
+  const results = new Map();
+  try {
+    const values = callBatchResolver(
+      parentType,
+      fieldDef,
+      batchResolveFn,
+      sources,
+      args,
+      context,
+      info
+    );
+    sources.forEach((source, i) => results.set(source, values[i]));
+  } catch (rawError) {
+    const error = rawError instanceof Error ? rawError : new Error(rawError);
+    sources.forEach(source => results.set(source, error));
+  }
+  return results;
+}
+
+function callBatchResolver(
+  parentType: GraphQLObjectType,
+  fieldDef: GraphQLField<*, *>,
+  batchResolveFn: GraphQLBatchFieldResolver<*, *>,
+  sources: Array<mixed>,
+  args: {[argName: string]: mixed},
+  context: mixed,
+  info: GraphQLResolveInfo
+): Array<mixed> {
+  const results = batchResolveFn(sources, args, context, info);
+  if (!Array.isArray(results) || results.length !== sources.length) {
+    throw withCode(new GraphQLError(
+      `Expected batchResolve of field ${parentType.name}.${fieldDef.name} ` +
+      `to return an Array of ${sources.length} results, but received: ` +
+      `${String(results)}.`
+    ), ErrorCode.INVALID_RETURN_VALUE);
+  }
+  return results;
+}
+
+/**
+ * Batches the fields with a `batchResolve` function selected on a list of
+ * objects, so the function is called with all of the objects at once when
+ * the field is resolved for the first of them. Like any resolver, it is not
+ * called once execution has stopped, and it is traced as part of resolving
+ * that first field. Returns a function removing the batches once the list
+ * has been completed.
+ */
+export function resolveBatches(
+  exeContext: ExecutionContext,
+  itemType: GraphQLType,
+  fieldNodes: Array<FieldNode>,
+  items: Array<mixed>
+): ?() => void {
+  const objectType = itemType instanceof GraphQLNonNull ?
+    itemType.ofType :
+    itemType;
+  if (!(objectType instanceof GraphQLObjectType)) {
+    return;
+  }
+  const fieldMap = objectType.getFields();
+  const hasBatchResolvers = Object.keys(fieldMap).some(
+    fieldName => Boolean((fieldMap[fieldName]: any).batchResolve)
   );
+  const sources = items.filter(
+    item => !isNullish(item) && !(item instanceof Error)
+  );
+  if (!hasBatchResolvers || sources.length === 0) {
+    return;
+  }
+
+  const fields = collectSubfields(exeContext, objectType, fieldNodes);
+  const previousBatches = new Map();
+  Object.keys(fields).forEach(responseName => {
+    const subFieldNodes = fields[responseName];
+    const fieldDef = getFieldDef(
+      exeContext.schema,
+      objectType,
+      subFieldNodes[0].name.value
+    );
+    const batchResolveFn = fieldDef && (fieldDef: any).batchResolve;
+    if (
+      !fieldDef ||
+      !batchResolveFn ||
+      !canResolveBatch(exeContext, objectType, fieldDef, subFieldNodes[0])
+    ) {
+      return;
+    }
+
+    const batch = { sources: new Set(sources), results: null };
+
+    // The same field node may be completed for a list nested in this one,
+    // which must not replace the results for this list.
+    const fieldNode = subFieldNodes[0];
+    previousBatches.set(fieldNode, exeContext.batches.get(fieldNode));
+    exeContext.batches.set(fieldNode, batch);
+  });
+
+  return () => {
+    previousBatches.forEach((batch, fieldNode) => {
+      if (batch) {
+        exeContext.batches.set(fieldNode, batch);
+      } else {
+        exeContext.batches.delete(fieldNode);
+      }
+    });
+  };
+}
+
+// Fields are only batched if their resolvers are not wrapped in middleware,
+// directive resolvers or plugin hooks, which may deny resolving the field for
+// some of the objects. Other fields call `batchResolve` for each object from
+// within their resolver chain instead.
+function canResolveBatch(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldDef: GraphQLField<*, *>,
+  fieldNode: FieldNode
+): boolean {
+  if (
+    hasMiddleware(exeContext.middleware, parentType, fieldDef.name) ||
+    exeContext.plugins.some(plugin => Boolean(plugin.willResolveField))
+  ) {
+    return false;
+  }
+  try {
+    return !getFieldDirectives(exeContext, fieldNode);
+  } catch (error) {
+    // Reported when resolving the field.
+    return false;
+  }
 }
 
 export function buildResolveInfo(
@@ -684,11 +1653,10 @@ export function resolveFieldValueOrError<TSource>(
   try {
     // Build a JS object of arguments from the field.arguments AST, using the
     // variables scope to fulfill any variable references.
-    // TODO: find a way to memoize, in case this field is within a List type.
-    const args = getArgumentValues(
+    const args = getFieldArgumentValues(
+      exeContext,
       fieldDef,
-      fieldNodes[0],
-      exeContext.variableValues
+      fieldNodes[0]
     );
 
     // The resolve function's optional third argument is a context value that
@@ -696,6 +1664,16 @@ export function resolveFieldValueOrError<TSource>(
     // used to represent an authenticated user, or request-specific caches.
     const context = exeContext.contextValue;
 
+    if (exeContext.plugins.length !== 0) {
+      return resolveWithPlugins(
+        exeContext.plugins,
+        resolveFn,
+        source,
+        args,
+        context,
+        info
+      );
+    }
     return resolveFn(source, args, context, info);
   } catch (error) {
     // Sometimes a non-error is thrown, wrap it as an Error for a
@@ -712,7 +1690,8 @@ function completeValueCatchingError(
   fieldNodes: Array<FieldNode>,
   info: GraphQLResolveInfo,
   path: ResponsePath,
-  result: mixed
+  result: mixed,
+  directives?: ?Array<FieldDirective>
 ): mixed {
   // If the field type is non-nullable, then it is resolved without any
   // protection from errors, however it still properly locates the error.
@@ -723,12 +1702,14 @@ function completeValueCatchingError(
       fieldNodes,
       info,
       path,
-      result
+      result,
+      directives
     );
   }
 
   // Otherwise, error protection is applied, logging the error and resolving
   // a null value for this field if one is encountered.
+  const deferredCount = exeContext.deferred.length;
   try {
     const completed = completeValueWithLocatedError(
       exeContext,
@@ -736,13 +1717,15 @@ function completeValueCatchingError(
       fieldNodes,
       info,
       path,
-      result
+      result,
+      directives
     );
     return completed;
   } catch (error) {
     // If `completeValueWithLocatedError` returned abruptly (threw an error),
-    // log the error and return null.
+    // log the error and return null, along with anything deferred within it.
     exeContext.errors.push(error);
+    exeContext.deferred.length = deferredCount;
     return null;
   }
 }
@@ -755,7 +1738,8 @@ function completeValueWithLocatedError(
   fieldNodes: Array<FieldNode>,
   info: GraphQLResolveInfo,
   path: ResponsePath,
-  result: mixed
+  result: mixed,
+  directives?: ?Array<FieldDirective>
 ): mixed {
   try {
     const completed = completeValue(
@@ -766,6 +1750,14 @@ function completeValueWithLocatedError(
       path,
       result
     );
+    if (directives) {
+      return completeWithDirectives(
+        directives,
+        completed,
+        exeContext.contextValue,
+        info
+      );
+    }
     return completed;
   } catch (error) {
     throw locatedError(error, fieldNodes, responsePathAsArray(path));
@@ -818,10 +1810,10 @@ function completeValue(
       result
     );
     if (completed === null) {
-      throw new Error(
+      throw withCode(new GraphQLError(
         `Cannot return null for non-nullable field ${
           info.parentType.name}.${info.fieldName}.`
-      );
+      ), ErrorCode.NON_NULL_VIOLATION);
     }
     return completed;
   }
@@ -875,9 +1867,9 @@ function completeValue(
   }
 
   // Not reachable. All possible output types have been considered.
-  throw new Error(
+  throw withCode(new Error(
     `Cannot complete value of unexpected type "${String(returnType)}".`
-  );
+  ), ErrorCode.INTERNAL_SERVER_ERROR);
 }
 
 /**
@@ -892,18 +1884,59 @@ function completeListValue(
   path: ResponsePath,
   result: mixed
 ): mixed {
-  invariant(
-    isCollection(result),
-    `Expected Iterable, but did not find one for field ${
-      info.parentType.name}.${info.fieldName}.`
-  );
+  if (!isCollection(result)) {
+    throw withCode(new GraphQLError(
+      `Expected Iterable, but did not find one for field ${
+        info.parentType.name}.${info.fieldName}.`,
+      fieldNodes
+    ), ErrorCode.INVALID_RETURN_VALUE);
+  }
 
   const itemType = returnType.ofType;
+  const items = [];
+  forEach((result: any), item => {
+    items.push(item);
+  });
+
+  // Only the list of the field itself is streamed, not lists nested in it.
+  const stream = exeContext.incremental && typeof path.key === 'string' ?
+    getStreamValues(exeContext, fieldNodes) :
+    null;
+  const initialItems = stream ? items.slice(0, stream.initialCount) : items;
+
+  const removeBatches = resolveBatches(
+    exeContext,
+    itemType,
+    fieldNodes,
+    initialItems
+  );
+
   const completedResults = [];
-  forEach((result: any), (item, index) => {
+  items.forEach((item, index) => {
     // No need to modify the info object containing the path,
     // since from here on it is not ever accessed by resolver functions.
     const fieldPath = addPath(path, index);
+    if (stream && index >= initialItems.length) {
+      streamItem(
+        exeContext,
+        stream.label,
+        itemType,
+        fieldNodes,
+        info,
+        fieldPath,
+        item
+      );
+      return;
+    }
+    if (isExecutionStopped(
+      exeContext,
+      itemType instanceof GraphQLNonNull,
+      fieldNodes,
+      fieldPath
+    )) {
+      completedResults.push(null);
+      return;
+    }
     const completedItem = completeValueCatchingError(
       exeContext,
       itemType,
@@ -916,24 +1949,98 @@ function completeListValue(
     completedResults.push(completedItem);
   });
 
+  if (removeBatches) {
+    removeBatches();
+  }
   return completedResults;
 }
 
+// Returns the arguments of the @stream directive of a list field, or nothing
+// if it is not streamed.
+function getStreamValues(
+  exeContext: ExecutionContext,
+  fieldNodes: Array<FieldNode>
+): ?{ initialCount: number, label: ?string } {
+  const directives = fieldNodes[0].directives;
+  const streamNode = directives && find(
+    directives,
+    directive => directive.name.value === GraphQLStreamDirective.name
+  );
+  if (!streamNode) {
+    return;
+  }
+  const { if: streamIf, initialCount, label } = getArgumentValues(
+    GraphQLStreamDirective,
+    streamNode,
+    exeContext.variableValues
+  );
+  if (streamIf === false) {
+    return;
+  }
+  if (typeof initialCount !== 'number' || initialCount < 0) {
+    throw withCode(new GraphQLError(
+      'initialCount must be a non-negative integer.',
+      [ streamNode ]
+    ), ErrorCode.BAD_USER_INPUT);
+  }
+  return { initialCount: (initialCount: any), label: (label: any) };
+}
+
+// Records a list item of a streamed field, to be completed once the payload
+// delivering it is requested.
+function streamItem(
+  exeContext: ExecutionContext,
+  label: ?string,
+  itemType: GraphQLType,
+  fieldNodes: Array<FieldNode>,
+  info: GraphQLResolveInfo,
+  path: ResponsePath,
+  item: mixed
+): void {
+  exeContext.deferred.push({
+    label,
+    path,
+    isStream: true,
+    execute: () => (
+      isExecutionStopped(
+        exeContext,
+        itemType instanceof GraphQLNonNull,
+        fieldNodes,
+        path
+      ) ?
+        null :
+        completeValueCatchingError(
+          exeContext,
+          itemType,
+          fieldNodes,
+          info,
+          path,
+          item
+        )
+    ),
+  });
+}
+
 /**
  * Complete a Scalar or Enum by serializing to a valid value, returning
  * null if serialization is not possible.
  */
-function completeLeafValue(
+export function completeLeafValue(
   returnType: GraphQLLeafType,
   result: mixed
 ): mixed {
-  invariant(returnType.serialize, 'Missing serialize method on type');
+  if (!returnType.serialize) {
+    throw withCode(
+      new Error('Missing serialize method on type'),
+      ErrorCode.INTERNAL_SERVER_ERROR
+    );
+  }
   const serializedResult = returnType.serialize(result);
   if (isNullish(serializedResult)) {
-    throw new Error(
+    throw withCode(new GraphQLError(
       `Expected a value of type "${String(returnType)}" but ` +
       `received: ${String(result)}`
-    );
+    ), ErrorCode.INVALID_RETURN_VALUE);
   }
   return serializedResult;
 }
@@ -971,7 +2078,7 @@ function completeAbstractValue(
   );
 }
 
-function ensureValidRuntimeType(
+export function ensureValidRuntimeType(
   runtimeTypeOrName: ?GraphQLObjectType | string,
   exeContext: ExecutionContext,
   returnType: GraphQLAbstractType,
@@ -984,20 +2091,20 @@ function ensureValidRuntimeType(
     runtimeTypeOrName;
 
   if (!(runtimeType instanceof GraphQLObjectType)) {
-    throw new GraphQLError(
+    throw withCode(new GraphQLError(
       `Abstract type ${returnType.name} must resolve to an Object type at ` +
       `runtime for field ${info.parentType.name}.${info.fieldName} with ` +
       `value "${String(result)}", received "${String(runtimeType)}".`,
       fieldNodes
-    );
+    ), ErrorCode.INVALID_RUNTIME_TYPE);
   }
 
   if (!exeContext.schema.isPossibleType(returnType, runtimeType)) {
-    throw new GraphQLError(
+    throw withCode(new GraphQLError(
       `Runtime Object type "${runtimeType.name}" is not a possible type ` +
       `for "${returnType.name}".`,
       fieldNodes
-    );
+    ), ErrorCode.INVALID_RUNTIME_TYPE);
   }
 
   return runtimeType;
@@ -1034,15 +2141,15 @@ function completeObjectValue(
   );
 }
 
-function invalidReturnTypeError(
+export function invalidReturnTypeError(
   returnType: GraphQLObjectType,
   result: mixed,
   fieldNodes: Array<FieldNode>
 ): GraphQLError {
-  return new GraphQLError(
+  return withCode(new GraphQLError(
     `Expected value of type "${returnType.name}" but got: ${String(result)}.`,
     fieldNodes
-  );
+  ), ErrorCode.INVALID_RUNTIME_TYPE);
 }
 
 function collectAndExecuteSubfields(
@@ -1054,6 +2161,25 @@ function collectAndExecuteSubfields(
   result: mixed
 ): mixed {
   // Collect sub-fields to execute to complete this value.
+  const deferred = exeContext.incremental ? [] : null;
+  const subFieldNodes = collectSubfields(
+    exeContext,
+    returnType,
+    fieldNodes,
+    deferred
+  );
+  if (deferred) {
+    deferFields(exeContext, returnType, result, path, deferred);
+  }
+  return executeFields(exeContext, returnType, result, path, subFieldNodes);
+}
+
+export function collectSubfields(
+  exeContext: ExecutionContext,
+  returnType: GraphQLObjectType,
+  fieldNodes: Array<FieldNode>,
+  deferred?: ?Array<DeferredFragment>
+): {[key: string]: Array<FieldNode>} {
   let subFieldNodes = Object.create(null);
   const visitedFragmentNames = Object.create(null);
   for (let i = 0; i < fieldNodes.length; i++) {
@@ -1064,12 +2190,12 @@ function collectAndExecuteSubfields(
         returnType,
         selectionSet,
         subFieldNodes,
-        visitedFragmentNames
+        visitedFragmentNames,
+        deferred
       );
     }
   }
-
-  return executeFields(exeContext, returnType, result, path, subFieldNodes);
+  return subFieldNodes;
 }
 
 /**
@@ -1077,7 +2203,7 @@ function collectAndExecuteSubfields(
  * used which tests each possible type for the abstract type by calling
  * isTypeOf for the object being coerced, returning the first type that matches.
  */
-function defaultResolveTypeFn(
+export function defaultResolveTypeFn(
   value: mixed,
   context: mixed,
   info: GraphQLResolveInfo,
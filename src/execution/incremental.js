@@ -0,0 +1,172 @@
+/* @flow */
+
+import { $$iterator } from 'iterall';
+import {
+  GraphQLBoolean,
+  GraphQLInt,
+  GraphQLString,
+} from 'graphql/type/scalars';
+import {
+  DirectiveLocation,
+  GraphQLDirective,
+} from 'graphql/type/directives';
+import { responsePathAsArray } from './execute';
+import type { GraphQLError } from 'graphql/error';
+import type { ResponsePath } from 'graphql/type/definition';
+import type { ExecutionContext, ExecutionResult } from './execute';
+
+
+/**
+ * Used to deliver a fragment in a subsequent payload when executing with
+ * `incremental: true`. Add it to the directives of the schema to use it.
+ */
+export const GraphQLDeferDirective = new GraphQLDirective({
+  name: 'defer',
+  description:
+    'Directs the executor to deliver this fragment in a subsequent payload.',
+  locations: [
+    DirectiveLocation.FRAGMENT_SPREAD,
+    DirectiveLocation.INLINE_FRAGMENT,
+  ],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      defaultValue: true,
+      description: 'Deferred when true.'
+    },
+    label: {
+      type: GraphQLString,
+      description: 'Identifies the payload delivering the fragment.'
+    }
+  },
+});
+
+/**
+ * Used to deliver the items of a list field after the first `initialCount`
+ * items in subsequent payloads when executing with `incremental: true`. Add
+ * it to the directives of the schema to use it.
+ */
+export const GraphQLStreamDirective = new GraphQLDirective({
+  name: 'stream',
+  description:
+    'Directs the executor to deliver the items of this list field after ' +
+    'the first `initialCount` items in subsequent payloads.',
+  locations: [
+    DirectiveLocation.FIELD,
+  ],
+  args: {
+    if: {
+      type: GraphQLBoolean,
+      defaultValue: true,
+      description: 'Streamed when true.'
+    },
+    label: {
+      type: GraphQLString,
+      description: 'Identifies the payloads delivering the items.'
+    },
+    initialCount: {
+      type: GraphQLInt,
+      defaultValue: 0,
+      description: 'The number of items delivered in the initial payload.'
+    }
+  },
+});
+
+/**
+ * A deferred fragment or a streamed list item, which is executed once the
+ * payload delivering it is requested.
+ */
+export type IncrementalRecord = {
+  label: ?string;
+  path: ?ResponsePath;
+  isStream: boolean;
+  execute: () => mixed;
+};
+
+/**
+ * The data of a deferred fragment, to be merged into the object at `path`,
+ * or a streamed list item, to be inserted into the list at `path`, which
+ * ends with the index of the item.
+ */
+export type IncrementalPayload = {
+  data?: ?{[key: string]: mixed};
+  items?: ?Array<mixed>;
+  path: Array<string | number>;
+  label?: string;
+  errors?: Array<GraphQLError>;
+};
+
+export type SubsequentResult = {
+  incremental: Array<IncrementalPayload>;
+  hasNext: boolean;
+};
+
+/**
+ * The result of executing an operation with `incremental: true` that defers
+ * or streams anything. `initialResult` contains everything else, and the
+ * deferred fragments and streamed items are only executed one by one as
+ * `subsequentResults` is iterated, until `hasNext` is false.
+ */
+export type IncrementalExecutionResults = {
+  initialResult: ExecutionResult & { hasNext: boolean };
+  subsequentResults: Iterator<SubsequentResult>;
+};
+
+/**
+ * Returns an iterator executing the deferred fragments and streamed items
+ * recorded during execution in the order they were recorded. Fragments and
+ * items recorded while executing one of them are added to the end.
+ */
+export function createSubsequentResults(
+  exeContext: ExecutionContext
+): Iterator<SubsequentResult> {
+  const records = exeContext.deferred;
+  return ({
+    next() {
+      const record = records.shift();
+      if (!record) {
+        return { value: undefined, done: true };
+      }
+
+      // Errors are reported in the payload in which they occurred.
+      const errors = [];
+      exeContext.errors = errors;
+      const recordCount = records.length;
+      let result;
+      try {
+        const completed = record.execute();
+        result = record.isStream ? [ completed ] : completed;
+      } catch (error) {
+        // Errors propagating to the fragment or item null the payload, which
+        // also removes what was deferred within it.
+        errors.push(error);
+        result = null;
+        records.length = recordCount;
+      }
+
+      const path = responsePathAsArray((record.path: any));
+      const payload: IncrementalPayload = record.isStream ?
+        { items: (result: any), path } :
+        { data: (result: any), path };
+      if (typeof record.label === 'string') {
+        payload.label = record.label;
+      }
+      if (errors.length !== 0) {
+        payload.errors = exeContext.formatErrors ?
+          exeContext.formatErrors(errors) :
+          errors;
+      }
+      return {
+        value: { incremental: [ payload ], hasNext: records.length !== 0 },
+        done: false
+      };
+    },
+    return() {
+      records.length = 0;
+      return { value: undefined, done: true };
+    },
+    [$$iterator]() {
+      return this;
+    },
+  }: any);
+}
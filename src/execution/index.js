@@ -8,5 +8,20 @@
  */
 
 export { execute, defaultFieldResolver, responsePathAsArray } from './execute';
+export { CancellationToken } from './CancellationToken';
+export {
+  GraphQLDeferDirective,
+  GraphQLStreamDirective,
+} from './incremental';
 
-export type { ExecutionResult } from './execute';
\ No newline at end of file
+export type { ExecutionOptions, ExecutionResult } from './execute';
+export type { Middleware } from './middleware';
+export type { DirectiveResolver } from './directives';
+export type { Plugin } from './plugins';
+export type { InputConstraints, InputValueConfig } from './constraints';
+export type { CacheHint, CachePolicy, CacheScope } from './cacheControl';
+export type {
+  IncrementalExecutionResults,
+  IncrementalPayload,
+  SubsequentResult,
+} from './incremental';
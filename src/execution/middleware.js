@@ -0,0 +1,87 @@
+/* @flow */
+
+import type {
+  GraphQLFieldResolver,
+  GraphQLObjectType,
+  GraphQLResolveInfo,
+} from 'graphql/type/definition';
+
+
+export type MiddlewareResolver = (
+  next: GraphQLFieldResolver<any, any>,
+  source: mixed,
+  args: {[argName: string]: mixed},
+  context: mixed,
+  info: GraphQLResolveInfo
+) => mixed;
+
+/**
+ * A middleware is either a function called around the resolvers of all
+ * fields, or an object whose `resolve` function is only called around the
+ * resolvers of the fields of the given `types` (e.g. "User") and the given
+ * `fields` (e.g. "User.email").
+ *
+ * The middleware is called with the next resolver in the chain followed by
+ * the arguments of the resolver, and returns the result of the field. It can
+ * call `next` with different arguments, e.g. to normalize them.
+ */
+export type Middleware = MiddlewareResolver | {
+  resolve: MiddlewareResolver;
+  types?: ?Array<string>;
+  fields?: ?Array<string>;
+};
+
+/**
+ * Wraps the resolver of a field in the middleware that applies to it. The
+ * first middleware is called first and the resolver itself is called last.
+ */
+export function applyMiddleware(
+  middleware: Array<Middleware>,
+  parentType: GraphQLObjectType,
+  fieldName: string,
+  resolveFn: GraphQLFieldResolver<any, any>
+): GraphQLFieldResolver<any, any> {
+  let resolve = resolveFn;
+  for (let i = middleware.length - 1; i >= 0; i--) {
+    const wrapper = getMiddlewareResolver(middleware[i], parentType, fieldName);
+    if (wrapper) {
+      const next = resolve;
+      resolve = (source, args, context, info) =>
+        wrapper(next, source, args, context, info);
+    }
+  }
+  return resolve;
+}
+
+/**
+ * Determines whether any middleware applies to the given field.
+ */
+export function hasMiddleware(
+  middleware: Array<Middleware>,
+  parentType: GraphQLObjectType,
+  fieldName: string
+): boolean {
+  return middleware.some(
+    current => Boolean(getMiddlewareResolver(current, parentType, fieldName))
+  );
+}
+
+function getMiddlewareResolver(
+  middleware: Middleware,
+  parentType: GraphQLObjectType,
+  fieldName: string
+): ?MiddlewareResolver {
+  if (typeof middleware === 'function') {
+    return middleware;
+  }
+  const { types, fields } = middleware;
+  if (!types && !fields) {
+    return middleware.resolve;
+  }
+  if (
+    types && types.indexOf(parentType.name) !== -1 ||
+    fields && fields.indexOf(`${parentType.name}.${fieldName}`) !== -1
+  ) {
+    return middleware.resolve;
+  }
+}
@@ -0,0 +1,136 @@
+/* @flow */
+
+import type { GraphQLError } from 'graphql/error';
+import type { DocumentNode } from 'graphql/language/ast';
+import type { Source } from 'graphql/language/source';
+import type {
+  GraphQLFieldResolver,
+  GraphQLResolveInfo,
+} from 'graphql/type/definition';
+import type { ExecutionContext, ExecutionResult } from './execute';
+
+
+/**
+ * A plugin hooks into the phases of `graphql` and `execute`. All hooks are
+ * optional and synchronous. Except for `willExecute`, a hook returning
+ * anything but undefined replaces the artifact of its phase.
+ *
+ * willParse:
+ *    Called with the source before it is parsed.
+ * willValidate:
+ *    Called with the parsed document before it is validated.
+ * didValidate:
+ *    Called with the errors found when validating the document, followed by
+ *    the document.
+ * willExecute:
+ *    Called with the execution context once it has been built. The context
+ *    can be modified, and an ExecutionResult can be returned to skip
+ *    executing the operation.
+ * willResolveField:
+ *    Called with the arguments of a field's resolver before it is called.
+ * didResolveField:
+ *    Called with the result of a field's resolver, or the error it threw,
+ *    followed by the arguments of the resolver.
+ * willSendResult:
+ *    Called with the ExecutionResult before it is returned.
+ */
+export type Plugin = {
+  willParse?: (source: string | Source) => ?(string | Source);
+  willValidate?: (document: DocumentNode) => ?DocumentNode;
+  didValidate?: (
+    errors: Array<GraphQLError>,
+    document: DocumentNode
+  ) => ?Array<GraphQLError>;
+  willExecute?: (exeContext: ExecutionContext) => ?ExecutionResult;
+  willResolveField?: (
+    source: mixed,
+    args: {[argName: string]: mixed},
+    context: mixed,
+    info: GraphQLResolveInfo
+  ) => void;
+  didResolveField?: (
+    result: mixed,
+    source: mixed,
+    args: {[argName: string]: mixed},
+    context: mixed,
+    info: GraphQLResolveInfo
+  ) => mixed;
+  willSendResult?: (result: ExecutionResult) => ?ExecutionResult;
+};
+
+/**
+ * Calls a hook of each plugin with the artifact of its phase, which is
+ * replaced by whatever the hook returns other than undefined.
+ */
+export function runHooks<T>(
+  plugins: Array<Plugin>,
+  hookName: string,
+  artifact: T,
+  ...args: Array<mixed>
+): T {
+  let result = artifact;
+  for (let i = 0; i < plugins.length; i++) {
+    const hook = (plugins[i]: any)[hookName];
+    if (hook) {
+      const replacement = hook(result, ...args);
+      if (replacement !== undefined) {
+        result = replacement;
+      }
+    }
+  }
+  return result;
+}
+
+/**
+ * Calls the `willExecute` hook of each plugin, returning the first
+ * ExecutionResult returned by a hook, if any.
+ */
+export function runWillExecute(
+  plugins: Array<Plugin>,
+  exeContext: ExecutionContext
+): ?ExecutionResult {
+  for (let i = 0; i < plugins.length; i++) {
+    const hook = plugins[i].willExecute;
+    if (hook) {
+      const result = hook(exeContext);
+      if (result) {
+        return result;
+      }
+    }
+  }
+}
+
+/**
+ * Calls a field's resolver surrounded by the `willResolveField` and
+ * `didResolveField` hooks of each plugin.
+ */
+export function resolveWithPlugins(
+  plugins: Array<Plugin>,
+  resolveFn: GraphQLFieldResolver<any, any>,
+  source: mixed,
+  args: {[argName: string]: mixed},
+  context: mixed,
+  info: GraphQLResolveInfo
+): mixed {
+  for (let i = 0; i < plugins.length; i++) {
+    const hook = plugins[i].willResolveField;
+    if (hook) {
+      hook(source, args, context, info);
+    }
+  }
+  let result;
+  try {
+    result = resolveFn(source, args, context, info);
+  } catch (error) {
+    result = error instanceof Error ? error : new Error(error);
+  }
+  return runHooks(
+    plugins,
+    'didResolveField',
+    result,
+    source,
+    args,
+    context,
+    info
+  );
+}
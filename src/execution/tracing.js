@@ -0,0 +1,142 @@
+/* @flow */
+
+import type {
+  GraphQLObjectType,
+  GraphQLOutputType,
+} from 'graphql/type/definition';
+
+
+/**
+ * The timing of a phase, as offset from the start of the request and
+ * duration, both in nanoseconds.
+ */
+export type TracingTiming = {
+  startOffset: number;
+  duration: number;
+};
+
+export type ResolverTiming = {
+  path: Array<string | number>;
+  parentType: string;
+  fieldName: string;
+  returnType: string;
+  startOffset: number;
+  duration: number;
+};
+
+/**
+ * Timing information about a request in the Apollo Tracing format.
+ */
+export type TracingResult = {
+  version: 1;
+  startTime: string;
+  endTime: string;
+  duration: number;
+  parsing?: TracingTiming;
+  validation?: TracingTiming;
+  execution: {
+    resolvers: Array<ResolverTiming>;
+  };
+};
+
+/**
+ * Records how long the phases of a request and the resolvers of the fields
+ * executed take.
+ */
+export class Tracer {
+  startTime: Date;
+  endTime: ?Date;
+  duration: number;
+  parsing: ?TracingTiming;
+  validation: ?TracingTiming;
+  resolvers: Array<ResolverTiming>;
+  _clock: () => number;
+
+  constructor() {
+    this.startTime = new Date();
+    this.endTime = null;
+    this.duration = 0;
+    this.parsing = null;
+    this.validation = null;
+    this.resolvers = [];
+    this._clock = createClock();
+  }
+
+  /**
+   * Returns the number of nanoseconds since the tracer was created.
+   */
+  now(): number {
+    return this._clock();
+  }
+
+  recordParsing(startOffset: number): void {
+    this.parsing = { startOffset, duration: this.now() - startOffset };
+  }
+
+  recordValidation(startOffset: number): void {
+    this.validation = { startOffset, duration: this.now() - startOffset };
+  }
+
+  recordResolver(
+    path: Array<string | number>,
+    parentType: GraphQLObjectType,
+    fieldName: string,
+    returnType: GraphQLOutputType,
+    startOffset: number
+  ): void {
+    this.resolvers.push({
+      path,
+      parentType: String(parentType),
+      fieldName,
+      returnType: String(returnType),
+      startOffset,
+      duration: this.now() - startOffset,
+    });
+  }
+
+  end(): void {
+    this.duration = this.now();
+    this.endTime = new Date();
+  }
+
+  format(): TracingResult {
+    const endTime = this.endTime || new Date();
+    const result: TracingResult = {
+      version: 1,
+      startTime: this.startTime.toISOString(),
+      endTime: endTime.toISOString(),
+      duration: this.duration,
+      execution: {
+        resolvers: this.resolvers,
+      },
+    };
+    if (this.parsing) {
+      result.parsing = this.parsing;
+    }
+    if (this.validation) {
+      result.validation = this.validation;
+    }
+    return result;
+  }
+}
+
+// Returns a function returning the number of nanoseconds since it was
+// created, with the highest resolution available.
+function createClock(): () => number {
+  if (typeof process !== 'undefined' && typeof process.hrtime === 'function') {
+    const start = process.hrtime();
+    return () => {
+      const [ seconds, nanoseconds ] = process.hrtime(start);
+      return seconds * 1e9 + nanoseconds;
+    };
+  }
+  let time;
+  try {
+    // $FlowFixMe: only available inside ArangoDB, returns seconds.
+    time = require('internal').time;
+  } catch (e) {
+    time = () => Date.now() / 1e3;
+  }
+  const start = time();
+  return () => Math.round((time() - start) * 1e9);
+}
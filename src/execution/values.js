@@ -8,7 +8,7 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
-import { createIterator, isCollection } from 'iterall';
+import { forEach, isCollection } from 'iterall';
 
 import { GraphQLError } from 'graphql/error';
 import invariant from 'graphql/jsutils/invariant';
@@ -17,7 +17,6 @@ import isInvalid from 'graphql/jsutils/isInvalid';
 import keyMap from 'graphql/jsutils/keyMap';
 import { typeFromAST } from 'graphql/utilities/typeFromAST';
 import { valueFromAST } from 'graphql/utilities/valueFromAST';
-import { isValidJSValue } from 'graphql/utilities/isValidJSValue';
 import { isValidLiteralValue } from 'graphql/utilities/isValidLiteralValue';
 import * as Kind from 'graphql/language/kinds';
 import { print } from 'graphql/language/printer';
@@ -29,6 +28,12 @@ import {
   GraphQLList,
   GraphQLNonNull,
 } from 'graphql/type/definition';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import {
+  applyInputValueConfig,
+  applyInputValueConfigDeep,
+} from './constraints';
+import type { InputValueConfig } from './constraints';
 import type {
   GraphQLInputType,
   GraphQLField
@@ -43,27 +48,35 @@ import type {
 } from 'graphql/language/ast';
 
 
+export type CoercedVariableValues = {
+  errors: ?Array<GraphQLError>;
+  coerced: ?{ [key: string]: mixed };
+};
+
 /**
  * Prepares an object map of variableValues of the correct type based on the
  * provided variable definitions and arbitrary input. If the input cannot be
- * parsed to match the variable definitions, a GraphQLError will be thrown.
+ * parsed to match the variable definitions, the errors describing every part
+ * of the input that is invalid are returned instead.
  */
 export function getVariableValues(
   schema: GraphQLSchema,
   varDefNodes: Array<VariableDefinitionNode>,
   inputs: { [key: string]: mixed }
-): { [key: string]: mixed } {
+): CoercedVariableValues {
+  const errors = [];
   const coercedValues = Object.create(null);
   for (let i = 0; i < varDefNodes.length; i++) {
     const varDefNode = varDefNodes[i];
     const varName = varDefNode.variable.name.value;
     const varType = typeFromAST(schema, varDefNode.type);
     if (!isInputType(varType)) {
-      throw new GraphQLError(
+      errors.push(withCode(new GraphQLError(
         `Variable "$${varName}" expected value of type ` +
         `"${print(varDefNode.type)}" which cannot be used as an input type.`,
         [ varDefNode.type ]
-      );
+      ), ErrorCode.GRAPHQL_VALIDATION_FAILED));
+      continue;
     }
 
     const value = inputs[varName];
@@ -73,34 +86,37 @@ export function getVariableValues(
         coercedValues[varName] = valueFromAST(defaultValue, varType);
       }
       if (varType instanceof GraphQLNonNull) {
-        throw new GraphQLError(
+        errors.push(withCode(new GraphQLError(
           `Variable "$${varName}" of required type ` +
           `"${String(varType)}" was not provided.`,
           [ varDefNode ]
-        );
+        ), ErrorCode.BAD_USER_INPUT));
       }
     } else {
-      const errors = isValidJSValue(value, varType);
-      if (errors.length) {
-        const message = errors ? '\n' + errors.join('\n') : '';
-        throw new GraphQLError(
-          `Variable "$${varName}" got invalid value ` +
-          `${JSON.stringify(value)}.${message}`,
-          [ varDefNode ]
-        );
+      const coercedValue = coerceValue(
+        (varType: any),
+        value,
+        `$${varName}`,
+        varDefNode,
+        errors
+      );
+      if (!isInvalid(coercedValue)) {
+        coercedValues[varName] = coercedValue;
       }
-
-      const coercedValue = coerceValue(varType, value);
-      invariant(!isInvalid(coercedValue), 'Should have reported error.');
-      coercedValues[varName] = coercedValue;
     }
   }
-  return coercedValues;
+  return errors.length === 0 ?
+    { errors: undefined, coerced: coercedValues } :
+    { errors, coerced: undefined };
 }
 
 /**
  * Prepares an object map of argument values given a list of argument
  * definitions and list of argument AST nodes.
+ *
+ * The values are transformed and their constraints are checked as
+ * configured for the input object fields and, by the `argConfigs` of a
+ * field, for its arguments, see `InputValueConfig`.
  */
 export function getArgumentValues(
   def: GraphQLField<*, *> | GraphQLDirective,
@@ -112,6 +128,8 @@ export function getArgumentValues(
   if (!argDefs || !argNodes) {
     return {};
   }
+  const argConfigs: ?{[argName: string]: InputValueConfig} =
+    (def: any).argConfigs;
   const coercedValues = Object.create(null);
   const argNodeMap = keyMap(argNodes, arg => arg.name.value);
   for (let i = 0; i < argDefs.length; i++) {
@@ -120,32 +138,47 @@ export function getArgumentValues(
     const argType = argDef.type;
     const argumentNode = argNodeMap[name];
     const defaultValue = argDef.defaultValue;
+    const argConfig = argConfigs && argConfigs[name];
+    const onError = (path, value, reason) => {
+      throw withCode(new GraphQLError(
+        `Argument "${path}" got invalid value ${JSON.stringify(value)}; ` +
+        reason,
+        [ argumentNode.value ]
+      ), ErrorCode.BAD_USER_INPUT);
+    };
     if (!argumentNode) {
       if (!isInvalid(defaultValue)) {
         coercedValues[name] = defaultValue;
       } else if (argType instanceof GraphQLNonNull) {
-        throw new GraphQLError(
+        throw withCode(new GraphQLError(
           `Argument "${name}" of required type ` +
           `"${String(argType)}" was not provided.`,
           [ node ]
-        );
+        ), ErrorCode.BAD_USER_INPUT);
       }
     } else if (argumentNode.value.kind === Kind.VARIABLE) {
       const variableName = (argumentNode.value: VariableNode).name.value;
       if (variableValues && !isInvalid(variableValues[variableName])) {
         // Note: this does not check that this variable value is correct.
         // This assumes that this query has been validated and the variable
-        // usage here is of the correct type.
-        coercedValues[name] = variableValues[variableName];
+        // usage here is of the correct type. The fields of input objects
+        // have already been checked when coercing the variable values.
+        coercedValues[name] = applyInputValueConfig(
+          argType,
+          variableValues[variableName],
+          argConfig,
+          name,
+          onError
+        );
       } else if (!isInvalid(defaultValue)) {
         coercedValues[name] = defaultValue;
       } else if (argType instanceof GraphQLNonNull) {
-        throw new GraphQLError(
+        throw withCode(new GraphQLError(
           `Argument "${name}" of required type "${String(argType)}" was ` +
           `provided the variable "$${variableName}" which was not provided ` +
           'a runtime value.',
           [ argumentNode.value ]
-        );
+        ), ErrorCode.BAD_USER_INPUT);
       }
     } else {
       const valueNode = argumentNode.value;
@@ -153,12 +186,19 @@ export function getArgumentValues(
       if (isInvalid(coercedValue)) {
         const errors = isValidLiteralValue(argType, valueNode);
         const message = errors ? '\n' + errors.join('\n') : '';
-        throw new GraphQLError(
+        throw withCode(new GraphQLError(
           `Argument "${name}" got invalid value ${print(valueNode)}.${message}`,
           [ argumentNode.value ]
-        );
+        ), ErrorCode.BAD_USER_INPUT);
       }
-      coercedValues[name] = coercedValue;
+      coercedValues[name] = applyInputValueConfigDeep(
+        argType,
+        coercedValue,
+        valueNode,
+        argConfig,
+        name,
+        onError
+      );
     }
   }
   return coercedValues;
@@ -166,23 +206,42 @@ export function getArgumentValues(
 
 /**
  * Given a type and any value, return a runtime value coerced to match the type.
+ *
+ * Every part of the value that cannot be coerced is reported to `errors`,
+ * along with its path within the variable (e.g. `$input.addresses[2].zip`),
+ * in which case no value is returned.
  */
-function coerceValue(type: GraphQLInputType, value: mixed): mixed {
+function coerceValue(
+  type: GraphQLInputType,
+  value: mixed,
+  path: string,
+  blameNode: VariableDefinitionNode,
+  errors: Array<GraphQLError>
+): mixed {
   // Ensure flow knows that we treat function params as const.
   const _value = value;
 
-  if (isInvalid(_value)) {
-    return; // Intentionally return no value.
-  }
-
   if (type instanceof GraphQLNonNull) {
+    if (isInvalid(_value)) {
+      errors.push(coercionError(
+        `Variable "${path}" of required type "${String(type)}" was not ` +
+        'provided.',
+        blameNode
+      ));
+      return; // Intentionally return no value.
+    }
     if (_value === null) {
+      errors.push(coercionError(
+        `Variable "${path}" of non-null type "${String(type)}" must not be ` +
+        'null.',
+        blameNode
+      ));
       return; // Intentionally return no value.
     }
-    return coerceValue(type.ofType, _value);
+    return coerceValue(type.ofType, _value, path, blameNode, errors);
   }
 
-  if (_value === null) {
+  if (isNullish(_value)) {
     // Intentionally return the value null.
     return null;
   }
@@ -190,53 +249,90 @@ function coerceValue(type: GraphQLInputType, value: mixed): mixed {
   if (type instanceof GraphQLList) {
     const itemType = type.ofType;
     if (isCollection(_value)) {
+      let isValid = true;
       const coercedValues = [];
-      const valueIter = createIterator(_value);
-      if (!valueIter) {
-        return; // Intentionally return no value.
-      }
-      let step;
-      while (!(step = valueIter.next()).done) {
-        const itemValue = coerceValue(itemType, step.value);
-        if (isInvalid(itemValue)) {
-          return; // Intentionally return no value.
+      forEach((_value: any), (itemValue, index) => {
+        const coercedItem = coerceValue(
+          itemType,
+          itemValue,
+          `${path}[${index}]`,
+          blameNode,
+          errors
+        );
+        if (isInvalid(coercedItem)) {
+          isValid = false;
         }
-        coercedValues.push(itemValue);
-      }
-      return coercedValues;
+        coercedValues.push(coercedItem);
+      });
+      return isValid ? coercedValues : undefined;
     }
-    const coercedValue = coerceValue(itemType, _value);
-    if (isInvalid(coercedValue)) {
-      return; // Intentionally return no value.
-    }
-    return [ coerceValue(itemType, _value) ];
+    // Lists accept a non-list value as a list of one.
+    const coercedItem = coerceValue(itemType, _value, path, blameNode, errors);
+    return isInvalid(coercedItem) ? undefined : [ coercedItem ];
   }
 
   if (type instanceof GraphQLInputObjectType) {
     if (typeof _value !== 'object') {
+      errors.push(coercionError(
+        `Variable "${path}" got invalid value ${JSON.stringify(_value)}; ` +
+        `Expected type "${type.name}" to be an object.`,
+        blameNode
+      ));
       return; // Intentionally return no value.
     }
+    let isValid = true;
     const coercedObj = Object.create(null);
     const fields = type.getFields();
+
+    // Ensure every provided field is defined.
+    const providedFieldNames = Object.keys(_value);
+    for (let i = 0; i < providedFieldNames.length; i++) {
+      const fieldName = providedFieldNames[i];
+      if (!fields[fieldName]) {
+        isValid = false;
+        errors.push(coercionError(
+          `Variable "${path}.${fieldName}" got invalid value ` +
+          `${JSON.stringify(_value[fieldName])}; Field "${fieldName}" is ` +
+          `not defined by type "${type.name}".`,
+          blameNode
+        ));
+      }
+    }
+
+    // Ensure every defined field is valid.
     const fieldNames = Object.keys(fields);
     for (let i = 0; i < fieldNames.length; i++) {
       const fieldName = fieldNames[i];
       const field = fields[fieldName];
-      if (isInvalid(_value[fieldName])) {
+      const fieldValue = _value[fieldName];
+      if (isInvalid(fieldValue)) {
         if (!isInvalid(field.defaultValue)) {
           coercedObj[fieldName] = field.defaultValue;
-        } else if (field.type instanceof GraphQLNonNull) {
-          return; // Intentionally return no value.
+          continue;
+        }
+        if (!(field.type instanceof GraphQLNonNull)) {
+          continue;
         }
-        continue;
       }
-      const fieldValue = coerceValue(field.type, _value[fieldName]);
-      if (isInvalid(fieldValue)) {
-        return; // Intentionally return no value.
+      const fieldPath = `${path}.${fieldName}`;
+      const coercedField = applyInputValueConfig(
+        field.type,
+        coerceValue(field.type, fieldValue, fieldPath, blameNode, errors),
+        (field: any),
+        fieldPath,
+        (invalidPath, invalidValue, reason) => errors.push(coercionError(
+          `Variable "${invalidPath}" got invalid value ` +
+          `${JSON.stringify(invalidValue)}; ${reason}`,
+          blameNode
+        ))
+      );
+      if (isInvalid(coercedField)) {
+        isValid = false;
+      } else {
+        coercedObj[fieldName] = coercedField;
       }
-      coercedObj[fieldName] = fieldValue;
     }
-    return coercedObj;
+    return isValid ? coercedObj : undefined;
   }
 
   invariant(
@@ -244,12 +340,39 @@ function coerceValue(type: GraphQLInputType, value: mixed): mixed {
     'Must be input type'
   );
 
-  const parsed = type.parseValue(_value);
+  // Scalar/Enum input checks to ensure the type can parse the value to
+  // a non-null value.
+  let parsed;
+  try {
+    parsed = type.parseValue(_value);
+  } catch (error) {
+    errors.push(coercionError(
+      `Variable "${path}" got invalid value ${JSON.stringify(_value)}; ` +
+      `Expected type "${type.name}": ${error.message}`,
+      blameNode
+    ));
+    return; // Intentionally return no value.
+  }
   if (isNullish(parsed)) {
     // null or invalid values represent a failure to parse correctly,
     // in which case no value is returned.
+    errors.push(coercionError(
+      `Variable "${path}" got invalid value ${JSON.stringify(_value)}; ` +
+      `Expected type "${type.name}".`,
+      blameNode
+    ));
     return;
   }
 
   return parsed;
-}
\ No newline at end of file
+}
+
+function coercionError(
+  message: string,
+  blameNode: VariableDefinitionNode
+): GraphQLError {
+  return withCode(
+    new GraphQLError(message, [ blameNode ]),
+    ErrorCode.BAD_USER_INPUT
+  );
+}
@@ -8,15 +8,55 @@
  *  of patent rights can be found in the PATENTS file in the same directory.
  */
 
+import isNullish from 'graphql/jsutils/isNullish';
 import { parse } from 'graphql/language/parser';
+import * as Kind from 'graphql/language/kinds';
 import { validate } from 'graphql/validation/validate';
-import { execute } from './execution/execute';
+import { specifiedRules } from 'graphql/validation/specifiedRules';
+import { GraphQLError } from 'graphql/error';
+import { execute, sendResult } from './execution/execute';
+import { Tracer } from './execution/tracing';
+import { resolvePersistedQuery } from './persistedQueries';
+import { MaxDepth } from './validation';
+import { getExecutionComplexity } from './utilities/getOperationComplexity';
+import { runHooks } from './execution/plugins';
+import { createErrorFormatter } from './error/formatErrors';
+import { ErrorCode, withCode } from './error/ErrorCode';
+import type { DocumentNode } from 'graphql/language/ast';
 import type { Source } from 'graphql/language/source';
+import type { ValidationContext } from 'graphql/validation';
 import type { GraphQLFieldResolver } from 'graphql/type/definition';
 import type { GraphQLSchema } from 'graphql/type/schema';
-import type { ExecutionResult } from 'graphql/execution/execute';
+import type { ExecutionResult } from './execution/execute';
+import type { IncrementalExecutionResults } from './execution/incremental';
+import type { Middleware } from './execution/middleware';
+import type { Plugin } from './execution/plugins';
+import type { DirectiveResolver } from './execution/directives';
+import type { ErrorFormattingOptions } from './error/formatErrors';
+import type {
+  ResponseCache,
+  ResponseCacheKey,
+} from './utilities/ResponseCache';
+import type {
+  DocumentCache,
+  DocumentCacheEntry,
+} from './utilities/DocumentCache';
+import type {
+  PersistedQueryOptions,
+  PersistedQueryExtension,
+} from './persistedQueries';
 
 
+/**
+ * Validation rules to validate a document with in addition to the specified
+ * rules, or a function returning the rules to validate it with instead, given
+ * the specified rules.
+ */
+export type ValidationRules =
+  Array<(context: ValidationContext) => any> |
+  (specifiedRules: Array<(context: ValidationContext) => any>) =>
+    Array<(context: ValidationContext) => any>;
+
 /**
  * This is the primary entry point function for fulfilling GraphQL operations
  * by parsing, validating, and executing a GraphQL document along side a
@@ -46,16 +86,110 @@ import type { ExecutionResult } from 'graphql/execution/execute';
  *    A resolver function to use when one is not provided by the schema.
  *    If not provided, the default field resolver is used (which looks for a
  *    value or method on the source value with the field's name).
+ *
+ * The object form additionally accepts the following options:
+ *
+ * documentCache:
+ *    A DocumentCache used to look up and store the parsed and validated
+ *    document for the source, so repeated sources skip those phases.
+ * validationRules:
+ *    Validation rules to validate the document with in addition to the
+ *    specified rules. If a function is provided instead, it is called with
+ *    the specified rules and returns the rules to validate the document with.
+ * skipValidation:
+ *    Do not validate the document, e.g. because it was already validated
+ *    when the application was built. Limits such as `maxDepth` still apply.
+ * extensions:
+ *    The extensions sent along with the request. A `persistedQuery` extension
+ *    identifies a persisted query by its hash, in which case the source can
+ *    be omitted.
+ * persistedQueries:
+ *    The store to look up persisted queries in. If `allowlist` is set, only
+ *    sources that are already in the store are executed.
+ * maxDepth:
+ *    The maximum depth of fields an operation may select. Operations
+ *    selecting deeper fields are rejected before they are executed.
+ * operationMaxDepths:
+ *    A mapping of operation name to the maximum depth allowed for that
+ *    operation, overriding `maxDepth`.
+ * maxComplexity:
+ *    The maximum estimated cost of an operation, see `getOperationComplexity`.
+ *    Operations exceeding it are rejected before they are executed. The
+ *    estimated cost is returned in the `cost` entry of the result extensions.
+ * middleware:
+ *    Functions called around the resolvers of the fields they apply to,
+ *    see `Middleware`.
+ * tracing:
+ *    Record how long parsing, validation and the resolver of each field take
+ *    and return it in the `tracing` entry of the result extensions, in the
+ *    Apollo Tracing format.
+ * plugins:
+ *    Hooks called during the phases of parsing, validation and execution,
+ *    see `Plugin`.
+ * directiveResolvers:
+ *    A mapping of the names of directives of the schema to the handlers
+ *    executing them when they are applied to fields, see `DirectiveResolver`.
+ * deadline:
+ *    The time (in milliseconds since the epoch) after which no more fields
+ *    are resolved, returning the data resolved so far and a TIMEOUT error.
+ * cancellationToken:
+ *    Stops execution once its `cancelled` property is true, returning the
+ *    data resolved so far and a CANCELLED error.
+ * cacheControl:
+ *    Work out how long the result may be cached from the cache hints of the
+ *    fields resolved and return it in the `cacheControl` entry of the result
+ *    extensions, see `CacheHint`.
+ * responseCache:
+ *    A ResponseCache used to look up and store the results of query
+ *    operations for as long as their cache policy allows. Implies
+ *    `cacheControl` for queries. Cached results are sent like executed
+ *    ones, e.g. with tracing and the `willSendResult` hooks of plugins.
+ * responseCacheScope:
+ *    Called with the context value and returns the key identifying the user
+ *    the operation is executed for. Results with a PRIVATE scope are only
+ *    cached if it returns a key.
+ * incremental:
+ *    Deliver fragments with the @defer directive and the items of list
+ *    fields with the @stream directive in subsequent payloads, see
+ *    `IncrementalExecutionResults`.
+ * maskErrors:
+ *    Replace the messages of unexpected errors, such as errors thrown by
+ *    resolvers that are not a UserFacingError, with a generic message
+ *    containing a correlation id.
+ * logError:
+ *    Called with every masked error and its correlation id.
+ * formatError:
+ *    Called with every error, after masking, and returns what is sent to the
+ *    client in its place.
  */
 declare function graphql({|
   schema: GraphQLSchema,
-  source: string | Source,
+  source?: ?(string | Source),
   rootValue?: mixed,
   contextValue?: mixed,
   variableValues?: ?{[key: string]: mixed},
   operationName?: ?string,
-  fieldResolver?: ?GraphQLFieldResolver<any, any>
-|}, ..._: []): ExecutionResult;
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  documentCache?: ?DocumentCache,
+  validationRules?: ?ValidationRules,
+  skipValidation?: ?boolean,
+  extensions?: ?{ persistedQuery?: ?PersistedQueryExtension },
+  persistedQueries?: ?PersistedQueryOptions,
+  maxDepth?: ?number,
+  operationMaxDepths?: ?{[operationName: string]: number},
+  maxComplexity?: ?number,
+  middleware?: ?Array<Middleware>,
+  tracing?: ?boolean,
+  plugins?: ?Array<Plugin>,
+  directiveResolvers?: ?{[directiveName: string]: DirectiveResolver},
+  deadline?: ?number,
+  cancellationToken?: ?{ +cancelled: boolean },
+  cacheControl?: ?(boolean | { defaultMaxAge?: ?number }),
+  responseCache?: ?ResponseCache,
+  responseCacheScope?: ?(contextValue: mixed) => ?string,
+  incremental?: ?boolean,
+  ...ErrorFormattingOptions
+|}, ..._: []): ExecutionResult | IncrementalExecutionResults;
 /* eslint-disable no-redeclare */
 declare function graphql(
   schema: GraphQLSchema,
@@ -87,6 +221,7 @@ export function graphql(
       args.variableValues,
       args.operationName,
       args.fieldResolver,
+      args,
     ) :
     graphqlImpl(
       schema,
@@ -96,6 +231,7 @@ export function graphql(
       variableValues,
       operationName,
       fieldResolver,
+      {},
     );
 }
 
@@ -106,30 +242,299 @@ function graphqlImpl(
   contextValue,
   variableValues,
   operationName,
-  fieldResolver
+  fieldResolver,
+  options
 ) {
-  // Parse
-  let document;
-  try {
-    document = parse(source);
-  } catch (syntaxError) {
-    return { errors: [ syntaxError ]};
+  const tracer = options.tracing ? new Tracer() : null;
+  const plugins = options.plugins || [];
+  const persisted = resolvePersistedQuery(
+    source,
+    options.extensions,
+    options.persistedQueries
+  );
+  if (persisted.errors) {
+    return buildErrorResult(persisted.errors, tracer, plugins, options);
   }
 
-  // Validate
-  const validationErrors = validate(schema, document);
-  if (validationErrors.length > 0) {
-    return { errors: validationErrors };
+  const { document, errors } = parseAndValidate(
+    schema,
+    persisted.source,
+    options,
+    tracer
+  );
+  if (!document) {
+    return buildErrorResult(errors, tracer, plugins, options);
+  }
+
+  // Return the result of a previous request if it may be reused.
+  const responseCache = options.responseCache;
+  const isCacheable = Boolean(responseCache) &&
+    !options.incremental &&
+    getOperationType(document, operationName) === 'query';
+  let executionPlugins = isNullish(options.maxComplexity) ?
+    plugins :
+    [ createComplexityPlugin(options.maxComplexity), ...plugins ];
+  if (responseCache && isCacheable) {
+    const cachePlugins = createResponseCachePlugins(
+      responseCache,
+      schema,
+      { source: persisted.source, operationName, variableValues },
+      options.responseCacheScope ?
+        options.responseCacheScope(contextValue) :
+        null
+    );
+    executionPlugins = [
+      cachePlugins.store,
+      ...executionPlugins,
+      cachePlugins.lookup,
+    ];
   }
 
   // Execute
-  return execute(
+  const result: any = execute({
     schema,
     document,
     rootValue,
     contextValue,
     variableValues,
     operationName,
-    fieldResolver
+    fieldResolver,
+    middleware: options.middleware,
+    tracing: tracer,
+    plugins: executionPlugins,
+    directiveResolvers: options.directiveResolvers,
+    deadline: options.deadline,
+    cancellationToken: options.cancellationToken,
+    cacheControl: options.cacheControl || isCacheable,
+    incremental: options.incremental,
+    maskErrors: options.maskErrors,
+    logError: options.logError,
+    formatError: options.formatError,
+  });
+  return result;
+}
+
+// Returns the type of the operation that would be executed, if any.
+function getOperationType(
+  document: DocumentNode,
+  operationName: ?string
+): ?string {
+  let operationType;
+  for (let i = 0; i < document.definitions.length; i++) {
+    const definition = document.definitions[i];
+    if (definition.kind === Kind.OPERATION_DEFINITION) {
+      if (!operationName) {
+        if (operationType) {
+          return;
+        }
+        operationType = definition.operation;
+      } else if (definition.name && definition.name.value === operationName) {
+        return definition.operation;
+      }
+    }
+  }
+  return operationType;
+}
+
+function buildErrorResult(
+  errors: Array<GraphQLError>,
+  tracer: ?Tracer,
+  plugins: Array<Plugin>,
+  options: ErrorFormattingOptions
+): ExecutionResult {
+  let result: ExecutionResult = { errors };
+  if (tracer) {
+    tracer.end();
+    result = { errors, extensions: { tracing: tracer.format() } };
+  }
+  return sendResult(result, plugins, createErrorFormatter(options));
+}
+
+/**
+ * Returns the plugins looking up the result of a query in the response cache
+ * and storing it there. A cached result takes the place of executing the
+ * operation once all other plugins have been called, and is sent like an
+ * executed one, e.g. with tracing and the `willSendResult` hooks of plugins.
+ * Results are stored before any other plugin can change them.
+ */
+function createResponseCachePlugins(
+  responseCache: ResponseCache,
+  schema: GraphQLSchema,
+  cacheKey: ResponseCacheKey,
+  scope: ?string
+): { lookup: Plugin, store: Plugin } {
+  let isCached = false;
+  return {
+    lookup: {
+      willExecute(exeContext) {
+        const cached = responseCache.get(schema, cacheKey, scope);
+        if (cached) {
+          isCached = true;
+          exeContext.cachePolicy = ({
+            ...(cached.extensions: any).cacheControl
+          }: any);
+          return { data: cached.data };
+        }
+      },
+    },
+    store: {
+      willSendResult(result) {
+        const policy = result.extensions && result.extensions.cacheControl;
+        if (!isCached && !result.errors && policy) {
+          responseCache.set(schema, cacheKey, scope, result, (policy: any));
+        }
+      },
+    },
+  };
+}
+
+/**
+ * Returns a plugin estimating the cost of the operation before it is
+ * executed and refusing to execute it if the cost exceeds the maximum.
+ */
+function createComplexityPlugin(maximum: number): Plugin {
+  let cost;
+  return {
+    willExecute(exeContext) {
+      let complexity;
+      try {
+        complexity = getExecutionComplexity(exeContext);
+      } catch (error) {
+        return { errors: [ error ] };
+      }
+      cost = { complexity, maximum };
+      if (complexity > maximum) {
+        return {
+          errors: [ withCode(new GraphQLError(
+            `Operation has a complexity of ${complexity}, which exceeds the ` +
+            `maximum complexity of ${maximum}.`
+          ), ErrorCode.COMPLEXITY_LIMIT_EXCEEDED) ],
+        };
+      }
+    },
+    willSendResult(result) {
+      if (cost) {
+        return { ...result, extensions: { ...result.extensions, cost } };
+      }
+    },
+  };
+}
+
+/**
+ * Implements the parse and validate phases of `graphql`, returning either
+ * the document, or the errors that prevent it from being executed.
+ */
+export function parseAndValidate(
+  schema: GraphQLSchema,
+  source: string | Source,
+  options: {
+    documentCache?: ?DocumentCache,
+    validationRules?: ?ValidationRules,
+    skipValidation?: ?boolean,
+    maxDepth?: ?number,
+    operationMaxDepths?: ?{[operationName: string]: number},
+    plugins?: ?Array<Plugin>
+  },
+  tracer?: ?Tracer
+): { document?: DocumentNode, errors?: Array<GraphQLError> } {
+  const plugins = options.plugins || [];
+  const finalSource = runHooks(plugins, 'willParse', source);
+
+  // Skip parsing if the same source has been seen before. Missing sources
+  // are left to `parse` to report.
+  const documentCache = finalSource ? options.documentCache : null;
+  let cached = documentCache ?
+    documentCache.get(schema, finalSource) :
+    undefined;
+  if (!cached) {
+    // Parse
+    const parsingStart = tracer ? tracer.now() : 0;
+    let document;
+    try {
+      document = parse(finalSource);
+    } catch (syntaxError) {
+      return {
+        errors: [ withCode(syntaxError, ErrorCode.GRAPHQL_PARSE_FAILED) ]
+      };
+    } finally {
+      if (tracer) {
+        tracer.recordParsing(parsingStart);
+      }
+    }
+
+    cached = { document, validationErrors: null };
+    if (documentCache) {
+      documentCache.set(schema, finalSource, cached);
+    }
+  }
+
+  // Validate
+  const document = runHooks(plugins, 'willValidate', cached.document);
+  const validationStart = tracer ? tracer.now() : 0;
+  const validationErrors = runHooks(
+    plugins,
+    'didValidate',
+    validateDocument(schema, document, cached, options),
+    document
   );
-}
\ No newline at end of file
+  if (tracer) {
+    tracer.recordValidation(validationStart);
+  }
+  if (validationErrors.length > 0) {
+    return {
+      errors: validationErrors.map(error =>
+        withCode(error, ErrorCode.GRAPHQL_VALIDATION_FAILED)
+      )
+    };
+  }
+
+  return { document };
+}
+
+// The outcome of validating the document against the specified rules is
+// remembered in the cache entry, unless a plugin replaced the document.
+function validateDocument(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  cached: DocumentCacheEntry,
+  options: {
+    validationRules?: ?ValidationRules,
+    skipValidation?: ?boolean,
+    maxDepth?: ?number,
+    operationMaxDepths?: ?{[operationName: string]: number}
+  }
+): Array<GraphQLError> {
+  const validationRules = options.validationRules;
+  const rules = [];
+  if (!options.skipValidation) {
+    if (typeof validationRules === 'function') {
+      rules.push(...validationRules(specifiedRules));
+    } else {
+      // Only the outcome of validating the specified rules is cached, as the
+      // outcome of other rules may differ between requests for the same
+      // source.
+      let errors;
+      if (document !== cached.document) {
+        errors = validate(schema, document);
+      } else {
+        if (!cached.validationErrors) {
+          cached.validationErrors = validate(schema, document);
+        }
+        errors = cached.validationErrors;
+      }
+      if (errors.length > 0) {
+        return errors;
+      }
+      if (validationRules) {
+        rules.push(...validationRules);
+      }
+    }
+  }
+  if (!isNullish(options.maxDepth) || options.operationMaxDepths) {
+    rules.push(MaxDepth(
+      isNullish(options.maxDepth) ? Infinity : options.maxDepth,
+      options.operationMaxDepths
+    ));
+  }
+  return rules.length > 0 ? validate(schema, document, rules) : [];
+}
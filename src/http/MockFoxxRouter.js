@@ -0,0 +1,353 @@
+/* @flow */
+
+import { parse as parseQuery } from 'querystring';
+
+type Handler = (req: MockFoxxRequest, res: MockFoxxResponse) => mixed;
+type Middleware =
+  MockFoxxRouter |
+  (req: MockFoxxRequest, res: MockFoxxResponse, next: () => void) => mixed;
+
+/**
+ * The options of a request passed to `MockFoxxRouter#request`. The path may
+ * contain a query string, which is merged into `queryParams`. A body that is
+ * not a string or Buffer is sent as JSON.
+ */
+export type MockFoxxRequestOptions = {
+  method?: string;
+  path?: string;
+  headers?: {[name: string]: string};
+  queryParams?: {[key: string]: mixed};
+  body?: mixed;
+  session?: mixed;
+  user?: mixed;
+};
+
+/**
+ * A stand-in for the router returned by `createRouter()` of Foxx, so routes
+ * and services can be tested under Node without an ArangoDB server.
+ *
+ * Routes are registered with `get`, `post`, `put`, `patch`, `delete`,
+ * `head` and `all`, whose path segments starting with ":" are available as
+ * `req.pathParams`. Middleware functions and child routers are added with
+ * `use`. `request` dispatches a request and returns the response, which has
+ * the status 404 if no route matches and 500 if the route throws an error
+ * without a status, like Foxx.
+ *
+ * Endpoints accept the documentation methods of Foxx, but only `body` has
+ * an effect: JSON bodies of routes declaring one are parsed into `req.body`.
+ */
+export class MockFoxxRouter {
+  _routes: Array<MockFoxxEndpoint>;
+  _middleware: Array<{ path: string; middleware: Middleware }>;
+
+  constructor() {
+    this._routes = [];
+    this._middleware = [];
+  }
+
+  get(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('GET', path, handler);
+  }
+
+  post(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('POST', path, handler);
+  }
+
+  put(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('PUT', path, handler);
+  }
+
+  patch(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('PATCH', path, handler);
+  }
+
+  delete(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('DELETE', path, handler);
+  }
+
+  head(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute('HEAD', path, handler);
+  }
+
+  all(path: string, handler: Handler): MockFoxxEndpoint {
+    return this._addRoute(null, path, handler);
+  }
+
+  use(pathOrMiddleware: string | Middleware, middleware?: Middleware): this {
+    if (typeof pathOrMiddleware === 'string') {
+      this._middleware.push({
+        path: pathOrMiddleware,
+        middleware: (middleware: any),
+      });
+    } else {
+      this._middleware.push({ path: '/', middleware: pathOrMiddleware });
+    }
+    return this;
+  }
+
+  request(options?: MockFoxxRequestOptions): MockFoxxResponse {
+    const req = new MockFoxxRequest(options || {});
+    const res = new MockFoxxResponse();
+    try {
+      if (!this._dispatch(req, res, splitPath(req.path))) {
+        res.throw(404, 'Not Found');
+      }
+    } catch (error) {
+      const status = error.statusCode || 500;
+      res.statusCode = status;
+      res.headers = { 'content-type': 'application/json; charset=utf-8' };
+      res.body = JSON.stringify({
+        error: true,
+        code: status,
+        errorMessage: status === 500 ? 'Internal Server Error' : error.message,
+      });
+    }
+    return res;
+  }
+
+  _addRoute(
+    method: ?string,
+    path: string,
+    handler: Handler
+  ): MockFoxxEndpoint {
+    const endpoint = new MockFoxxEndpoint(method, path, handler);
+    this._routes.push(endpoint);
+    return endpoint;
+  }
+
+  // Returns whether a route has handled the request.
+  _dispatch(
+    req: MockFoxxRequest,
+    res: MockFoxxResponse,
+    segments: Array<string>
+  ): boolean {
+    const middleware = this._middleware;
+    const next = index => {
+      for (let i = index; i < middleware.length; i++) {
+        const { path, middleware: current } = middleware[i];
+        const prefix = splitPath(path);
+        if (!matchSegments(prefix, segments, {}, true)) {
+          continue;
+        }
+        if (current instanceof MockFoxxRouter) {
+          if (current._dispatch(req, res, segments.slice(prefix.length))) {
+            return true;
+          }
+          continue;
+        }
+        // Middleware not calling next has handled the request itself.
+        let handled = true;
+        current(req, res, () => {
+          handled = next(i + 1);
+        });
+        return handled;
+      }
+      return this._dispatchRoute(req, res, segments);
+    };
+    return next(0);
+  }
+
+  _dispatchRoute(
+    req: MockFoxxRequest,
+    res: MockFoxxResponse,
+    segments: Array<string>
+  ): boolean {
+    for (let i = 0; i < this._routes.length; i++) {
+      const route = this._routes[i];
+      const pathParams = {};
+      if (
+        (!route.method || route.method === req.method) &&
+        matchSegments(splitPath(route.path), segments, pathParams, false)
+      ) {
+        req.pathParams = pathParams;
+        if (route._body && req.is('json') && req.rawBody.length !== 0) {
+          req.body = JSON.parse(req.rawBody.toString());
+        }
+        route.handler(req, res);
+        return true;
+      }
+    }
+    return false;
+  }
+}
+
+/**
+ * A route of a `MockFoxxRouter`. The documentation methods only return the
+ * endpoint, except for `body`, which has JSON bodies parsed.
+ */
+export class MockFoxxEndpoint {
+  method: ?string;
+  path: string;
+  handler: Handler;
+  _body: boolean;
+
+  constructor(method: ?string, path: string, handler: Handler) {
+    this.method = method;
+    this.path = path;
+    this.handler = handler;
+    this._body = false;
+  }
+
+  body(model: mixed): this {
+    this._body = model !== null;
+    return this;
+  }
+
+  summary(): this { return this; }
+  description(): this { return this; }
+  response(): this { return this; }
+  error(): this { return this; }
+  queryParam(): this { return this; }
+  pathParam(): this { return this; }
+  header(): this { return this; }
+  tag(): this { return this; }
+  deprecated(): this { return this; }
+}
+
+/**
+ * A stand-in for the request of a Foxx route. Unless the route declares a
+ * body, `body` is the raw body, like in Foxx.
+ */
+export class MockFoxxRequest {
+  method: string;
+  path: string;
+  headers: {[name: string]: string};
+  queryParams: {[key: string]: mixed};
+  pathParams: {[key: string]: string};
+  rawBody: Buffer;
+  body: mixed;
+  session: mixed;
+  user: mixed;
+
+  constructor(options: MockFoxxRequestOptions) {
+    const [ path, queryString ] = (options.path || '/').split('?');
+    const headers = {};
+    const optionHeaders = options.headers || {};
+    Object.keys(optionHeaders).forEach(name => {
+      headers[name.toLowerCase()] = optionHeaders[name];
+    });
+
+    let body = options.body;
+    if (body !== undefined && body !== null &&
+        typeof body !== 'string' && !(body instanceof Buffer)) {
+      body = JSON.stringify(body);
+      if (!headers['content-type']) {
+        headers['content-type'] = 'application/json';
+      }
+    }
+
+    this.method = (options.method || 'GET').toUpperCase();
+    this.path = path;
+    this.headers = headers;
+    this.queryParams = {
+      ...(queryString ? parseQuery(queryString) : {}),
+      ...options.queryParams,
+    };
+    this.pathParams = {};
+    this.rawBody = body instanceof Buffer ?
+      body :
+      Buffer.from(typeof body === 'string' ? body : '');
+    this.body = this.rawBody;
+    this.session = options.session;
+    this.user = options.user;
+  }
+
+  get(name: string): ?string {
+    return this.headers[name.toLowerCase()];
+  }
+
+  is(type: string): boolean {
+    const contentType = (this.headers['content-type'] || '').split(';')[0];
+    return contentType.trim().toLowerCase().indexOf(type) !== -1;
+  }
+}
+
+/**
+ * A stand-in for the response of a Foxx route, whose `statusCode`,
+ * `headers` and `body` can be inspected after the request.
+ */
+export class MockFoxxResponse {
+  statusCode: number;
+  headers: {[name: string]: string};
+  body: ?string;
+
+  constructor() {
+    this.statusCode = 200;
+    this.headers = {};
+    this.body = null;
+  }
+
+  status(statusCode: number): this {
+    this.statusCode = statusCode;
+    return this;
+  }
+
+  get(name: string): ?string {
+    return this.headers[name.toLowerCase()];
+  }
+
+  set(name: string | {[name: string]: string}, value?: string): this {
+    if (typeof name === 'string') {
+      this.headers[name.toLowerCase()] = String(value);
+    } else {
+      Object.keys(name).forEach(key => this.set(key, (name: any)[key]));
+    }
+    return this;
+  }
+
+  write(data: mixed): this {
+    this.body = (this.body || '') + String(data);
+    return this;
+  }
+
+  send(data: mixed, type?: string): this {
+    if (typeof data === 'string' || data instanceof Buffer) {
+      if (type) {
+        this.set('content-type', type);
+      }
+      this.body = String(data);
+      return this;
+    }
+    return this.json(data);
+  }
+
+  json(data: mixed): this {
+    this.set('content-type', 'application/json; charset=utf-8');
+    this.body = JSON.stringify(data);
+    return this;
+  }
+
+  throw(statusCode: number, message?: string): void {
+    const error: any = new Error(message || String(statusCode));
+    error.statusCode = statusCode;
+    throw error;
+  }
+}
+
+function splitPath(path: string): Array<string> {
+  return path.split('/').filter(Boolean);
+}
+
+// Matches the segments of a route's path, or the leading segments if it is
+// the path of middleware. A "*" segment matches any remaining segments.
+function matchSegments(
+  pattern: Array<string>,
+  segments: Array<string>,
+  pathParams: {[key: string]: string},
+  prefix: boolean
+): boolean {
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === '*') {
+      return true;
+    }
+    if (i >= segments.length) {
+      return false;
+    }
+    if (pattern[i][0] === ':') {
+      pathParams[pattern[i].slice(1)] = decodeURIComponent(segments[i]);
+    } else if (pattern[i] !== segments[i]) {
+      return false;
+    }
+  }
+  return prefix || pattern.length === segments.length;
+}
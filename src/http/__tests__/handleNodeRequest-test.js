@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'mocha';
+import { expect } from 'chai';
+import http from 'http';
+import {
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  specifiedDirectives,
+} from 'graphql';
+import { GraphQLDeferDirective, GraphQLStreamDirective } from '../../execution';
+import { MemoryQueryStore, hashQuery } from '../../persistedQueries';
+import { createHandler } from '../createHandler';
+import { handleNodeRequest } from '../handleNodeRequest';
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      a: { type: GraphQLString, resolve: () => 'A' },
+      b: { type: GraphQLString, resolve: () => 'B' },
+    },
+  }),
+  mutation: new GraphQLObjectType({
+    name: 'Mutation',
+    fields: {
+      touch: { type: GraphQLString, resolve: () => 'touched' },
+    },
+  }),
+  directives: [
+    ...specifiedDirectives,
+    GraphQLDeferDirective,
+    GraphQLStreamDirective,
+  ],
+});
+
+const logged = [];
+const handler = createHandler({
+  schema,
+  context: request => {
+    if (request.headers['x-fail']) {
+      throw new Error('Failed to create the context.');
+    }
+  },
+  persistedQueries: { store: new MemoryQueryStore() },
+  logError: error => logged.push(error),
+});
+
+// Sends a request to the server and resolves with its status, content type
+// and body.
+function request(server, options, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: 'localhost',
+      port: server.address().port,
+      ...options,
+    }, res => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        contentType: res.headers['content-type'],
+        body: data,
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function post(server, params, headers) {
+  return request(server, {
+    method: 'POST',
+    path: '/graphql',
+    headers: { 'content-type': 'application/json', ...headers },
+  }, JSON.stringify(params));
+}
+
+function get(server, params) {
+  const query = Object.keys(params).map(name =>
+    `${name}=${encodeURIComponent(params[name])}`
+  ).join('&');
+  return request(server, { method: 'GET', path: `/graphql?${query}` });
+}
+
+describe('handleNodeRequest', () => {
+  let server;
+
+  before(done => {
+    server = http.createServer((req, res) => {
+      handleNodeRequest(handler, req, res, { maxBodySize: 1000 });
+    });
+    server.listen(0, done);
+  });
+
+  after(done => {
+    server.close(done);
+  });
+
+  it('executes queries sent by POST', async () => {
+    const response = await post(server, { query: '{ a }' });
+    expect(response).to.deep.equal({
+      status: 200,
+      contentType: 'application/json; charset=utf-8',
+      body: '{"data":{"a":"A"}}',
+    });
+  });
+
+  it('executes queries sent by GET', async () => {
+    const response = await get(server, { query: '{ b }' });
+    expect(response.status).to.equal(200);
+    expect(JSON.parse(response.body)).to.deep.equal({ data: { b: 'B' } });
+  });
+
+  it('rejects mutations sent by GET', async () => {
+    const response = await get(server, { query: 'mutation { touch }' });
+    expect(response.status).to.equal(405);
+    expect(JSON.parse(response.body).errors[0].extensions.code).to.equal(
+      'METHOD_NOT_ALLOWED'
+    );
+  });
+
+  it('answers errors outside of resolvers with a masked error', async () => {
+    const response = await post(server, { query: '{ a }' }, { 'x-fail': '1' });
+    expect(response.status).to.equal(500);
+    const error = JSON.parse(response.body).errors[0];
+    expect(error.message).to.match(/^Unexpected error \(correlation id: /);
+    expect(error.extensions.code).to.equal('INTERNAL_SERVER_ERROR');
+    expect(logged.map(loggedError => loggedError.message)).to.deep.equal([
+      'Failed to create the context.',
+    ]);
+  });
+
+  it('rejects bodies larger than maxBodySize', async () => {
+    const response = await post(server, {
+      query: '{ a }',
+      variables: { padding: 'x'.repeat(1000) },
+    });
+    expect(response.status).to.equal(413);
+  });
+
+  it('delivers deferred fragments as newline-delimited JSON', async () => {
+    const response = await post(
+      server,
+      { query: '{ a ... @defer { b } }' },
+      { accept: 'application/x-ndjson' }
+    );
+    expect(response.contentType).to.equal(
+      'application/x-ndjson; charset=utf-8'
+    );
+    expect(response.body.split('\n').filter(Boolean).map(line =>
+      JSON.parse(line)
+    )).to.deep.equal([
+      { data: { a: 'A' }, hasNext: true },
+      { incremental: [ { data: { b: 'B' }, path: [] } ], hasNext: false },
+    ]);
+  });
+
+  it('delivers deferred fragments as multipart', async () => {
+    const response = await post(
+      server,
+      { query: '{ a ... @defer { b } }' },
+      { accept: 'multipart/mixed' }
+    );
+    expect(response.contentType).to.equal('multipart/mixed; boundary="-"');
+    expect(response.body).to.equal(
+      '\r\n---\r\nContent-Type: application/json; charset=utf-8\r\n\r\n' +
+      '{"data":{"a":"A"},"hasNext":true}' +
+      '\r\n---\r\nContent-Type: application/json; charset=utf-8\r\n\r\n' +
+      '{"incremental":[{"data":{"b":"B"},"path":[]}],"hasNext":false}' +
+      '\r\n-----\r\n'
+    );
+  });
+
+  it('delivers deferred fragments at once to other clients', async () => {
+    const response = await post(
+      server,
+      { query: '{ a ... @defer { b } }' },
+      { accept: 'application/json' }
+    );
+    expect(response.contentType).to.equal('application/json; charset=utf-8');
+    expect(JSON.parse(response.body)).to.deep.equal({
+      data: { a: 'A', b: 'B' },
+    });
+  });
+
+  it('registers and executes persisted queries', async () => {
+    const query = '{ persisted: a }';
+    const extensions = JSON.stringify({
+      persistedQuery: { version: 1, sha256Hash: hashQuery(query) },
+    });
+
+    const notFound = await get(server, { extensions });
+    expect(JSON.parse(notFound.body).errors[0].extensions.code).to.equal(
+      'PERSISTED_QUERY_NOT_FOUND'
+    );
+
+    const registered = await get(server, { query, extensions });
+    expect(JSON.parse(registered.body)).to.deep.equal({
+      data: { persisted: 'A' },
+    });
+
+    const found = await get(server, { extensions });
+    expect(JSON.parse(found.body)).to.deep.equal({
+      data: { persisted: 'A' },
+    });
+  });
+
+});
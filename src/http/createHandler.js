@@ -0,0 +1,402 @@
+/* @flow */
+
+import { GraphQLError } from 'graphql/error';
+import isNullish from 'graphql/jsutils/isNullish';
+import { graphql } from '../graphql';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import { createErrorFormatter } from '../error/formatErrors';
+import {
+  encodeResult,
+  formatResult,
+  getResponseEncoding,
+} from './encodeResult';
+import { renderGraphiQL } from './renderGraphiQL';
+import type { GraphQLSchema } from 'graphql/type/schema';
+import type { ExecutionResult } from '../execution/execute';
+import type { Plugin } from '../execution/plugins';
+import type { GraphiQLOptions } from './renderGraphiQL';
+
+
+/**
+ * A request as seen by the handler, independent of the HTTP server.
+ *
+ * method:
+ *    The HTTP method, e.g. "GET".
+ * headers:
+ *    The request headers, with lower case names.
+ * query:
+ *    The parsed query string.
+ * body:
+ *    The request body, either as a string or already parsed by the server.
+ * raw:
+ *    The request object of the HTTP server, e.g. to read the current user
+ *    from when creating the context value.
+ */
+export type HandlerRequest = {
+  method: string;
+  headers: {[name: string]: ?string};
+  query: {[key: string]: mixed};
+  body: mixed;
+  raw?: mixed;
+};
+
+/**
+ * The response to a request, which the adapter for the HTTP server writes.
+ * The body is an iterator of chunks for results delivered incrementally.
+ */
+export type HandlerResponse = {
+  status: number;
+  headers: {[name: string]: string};
+  body: string | Iterator<string>;
+};
+
+/**
+ * The options of `createHandler`. Any other option of `graphql`, such as
+ * `maxDepth` or `plugins`, is passed on to it.
+ *
+ * schema:
+ *    The GraphQL type system to execute requests against.
+ * rootValue:
+ *    The root value passed to the resolvers of the root fields.
+ * context:
+ *    The context value passed to all resolvers, or a function creating it
+ *    for each request.
+ * graphiql:
+ *    Whether GET requests of browsers are answered with a GraphiQL page, or
+ *    the options of the page. Defaults to false.
+ */
+export type HandlerOptions = {
+  schema: GraphQLSchema;
+  rootValue?: mixed;
+  context?: mixed | (request: HandlerRequest) => mixed;
+  graphiql?: boolean | GraphiQLOptions;
+  [option: string]: mixed;
+};
+
+export type Handler = (request: HandlerRequest) => HandlerResponse;
+
+// The parameters of a GraphQL-over-HTTP request.
+type RequestParams = {
+  query: ?string;
+  variables: ?{[key: string]: mixed};
+  operationName: ?string;
+  extensions: ?{[key: string]: mixed};
+};
+
+const GRAPHQL_RESPONSE_JSON = 'application/graphql-response+json';
+
+/**
+ * Creates a function handling GraphQL-over-HTTP requests, independent of
+ * the HTTP server, see `handleNodeRequest` and `handleFoxxRequest`.
+ *
+ * GET requests pass the parameters in the query string and may only
+ * execute queries. POST requests pass them as a JSON body, or the query
+ * alone as an `application/graphql` body.
+ *
+ * Responses are `application/graphql-response+json` if the client accepts
+ * it, in which case requests failing before execution have the status 400,
+ * or `application/json` otherwise, in which case all results have the
+ * status 200. Malformed requests have the status 400 either way. Clients
+ * accepting `multipart/mixed` or newline-delimited JSON get deferred
+ * fragments and streamed lists delivered incrementally, other clients get
+ * them as part of a single result, regardless of the `incremental` option.
+ * GET requests accepting `text/html` get a GraphiQL page if `graphiql` is
+ * enabled.
+ */
+export function createHandler(options: HandlerOptions): Handler {
+  const { schema, rootValue, context, graphiql, ...graphqlOptions } = options;
+  const plugins: Array<Plugin> = (graphqlOptions.plugins: any) || [];
+  const queryOnlyPlugins = [ rejectNonQueryOperations, ...plugins ];
+  const postPlugins = [ rejectSubscriptions, ...plugins ];
+  const formatUnexpectedError: any = createErrorFormatter({
+    maskErrors: true,
+    logError: (graphqlOptions.logError: any),
+  });
+
+  // Errors thrown by anything but the resolvers, e.g. by creating the
+  // context value, are answered with a masked error and the status 500.
+  return request => {
+    try {
+      return handleRequest(request);
+    } catch (error) {
+      return jsonResponse(500, request, {
+        errors: formatUnexpectedError([ new GraphQLError(
+          error && error.message || String(error),
+          undefined,
+          undefined,
+          undefined,
+          undefined,
+          error instanceof Error ? error : undefined
+        ) ]),
+      });
+    }
+  };
+
+  function handleRequest(request: HandlerRequest): HandlerResponse {
+    const method = request.method.toUpperCase();
+    if (method !== 'GET' && method !== 'POST') {
+      return errorResponse(
+        405,
+        request,
+        'GraphQL only supports GET and POST requests.',
+        ErrorCode.METHOD_NOT_ALLOWED,
+        { allow: 'GET, POST' }
+      );
+    }
+
+    if (graphiql && method === 'GET' && acceptsHTML(request)) {
+      return {
+        status: 200,
+        headers: { 'content-type': 'text/html; charset=utf-8' },
+        body: renderGraphiQL(
+          typeof graphiql === 'object' ? graphiql : {},
+          request.query
+        ),
+      };
+    }
+
+    const contentType = getContentType(request);
+    if (
+      method === 'POST' &&
+      contentType !== 'application/json' &&
+      contentType !== 'application/graphql'
+    ) {
+      return errorResponse(
+        415,
+        request,
+        `Unsupported Content-Type "${contentType}", expected ` +
+        '"application/json" or "application/graphql".',
+        ErrorCode.BAD_REQUEST
+      );
+    }
+
+    let params;
+    try {
+      params = method === 'GET' ?
+        getQueryParams(request.query) :
+        getBodyParams(request, contentType);
+    } catch (error) {
+      return errorResponse(400, request, error.message, ErrorCode.BAD_REQUEST);
+    }
+    const extensions = params.extensions;
+    if (!params.query && !(extensions && extensions.persistedQuery)) {
+      return errorResponse(
+        400,
+        request,
+        'Must provide query string.',
+        ErrorCode.BAD_REQUEST
+      );
+    }
+
+    const encoding = getResponseEncoding(request.headers.accept);
+    const result: any = graphql({
+      ...graphqlOptions,
+      schema,
+      source: params.query,
+      rootValue,
+      contextValue: typeof context === 'function' ? context(request) : context,
+      variableValues: params.variables,
+      operationName: params.operationName,
+      extensions: (params.extensions: any),
+      plugins: method === 'GET' ? queryOnlyPlugins : postPlugins,
+      incremental: Boolean(encoding),
+    });
+
+    if (result.initialResult && encoding) {
+      const encoded = encodeResult(result, encoding);
+      return {
+        status: 200,
+        headers: { 'content-type': encoded.contentType },
+        body: encoded.chunks,
+      };
+    }
+    return jsonResponse(getStatus(request, result), request, result);
+  }
+}
+
+// Subscriptions need a transport delivering their events, see `subscribe`.
+const rejectSubscriptions: Plugin = {
+  willExecute(exeContext) {
+    const operation = exeContext.operation;
+    if (operation.operation === 'subscription') {
+      return {
+        errors: [ withCode(new GraphQLError(
+          'Subscriptions are not supported over HTTP.',
+          [ operation ]
+        ), ErrorCode.OPERATION_NOT_SUPPORTED) ],
+      };
+    }
+  },
+};
+
+// Only queries may be executed by GET requests, as they are expected to be
+// safe to repeat and may be cached.
+const rejectNonQueryOperations: Plugin = {
+  willExecute(exeContext) {
+    const operation = exeContext.operation;
+    if (operation.operation !== 'query') {
+      return {
+        errors: [ withCode(new GraphQLError(
+          `Can only perform a ${operation.operation} operation ` +
+          'from a POST request.',
+          [ operation ]
+        ), ErrorCode.METHOD_NOT_ALLOWED) ],
+      };
+    }
+  },
+};
+
+function getQueryParams(query: {[key: string]: mixed}): RequestParams {
+  return {
+    query: getStringParam(query, 'query'),
+    variables: getObjectParam(query, 'variables'),
+    operationName: getStringParam(query, 'operationName'),
+    extensions: getObjectParam(query, 'extensions'),
+  };
+}
+
+function getContentType(request: HandlerRequest): string {
+  return (request.headers['content-type'] || '')
+    .split(';')[0]
+    .trim()
+    .toLowerCase();
+}
+
+function getBodyParams(
+  request: HandlerRequest,
+  contentType: string
+): RequestParams {
+  let body = request.body;
+  if (contentType === 'application/graphql') {
+    return {
+      query: isNullish(body) ? null : String(body),
+      variables: getObjectParam(request.query, 'variables'),
+      operationName: getStringParam(request.query, 'operationName'),
+      extensions: getObjectParam(request.query, 'extensions'),
+    };
+  }
+  if (typeof body === 'string' || body instanceof Buffer) {
+    try {
+      body = JSON.parse(String(body));
+    } catch (error) {
+      throw new Error(`POST body contains invalid JSON: ${error.message}`);
+    }
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('POST body must be a JSON object.');
+  }
+  return {
+    query: getStringParam((body: any), 'query'),
+    variables: getObjectParam((body: any), 'variables'),
+    operationName: getStringParam((body: any), 'operationName'),
+    extensions: getObjectParam((body: any), 'extensions'),
+  };
+}
+
+function getStringParam(
+  params: {[key: string]: mixed},
+  name: string
+): ?string {
+  const value = params[name];
+  if (isNullish(value) || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string') {
+    throw new Error(`Parameter "${name}" must be a string.`);
+  }
+  return value;
+}
+
+// Objects may be passed as JSON strings, e.g. in the query string.
+function getObjectParam(
+  params: {[key: string]: mixed},
+  name: string
+): ?{[key: string]: mixed} {
+  let value = params[name];
+  if (isNullish(value) || value === '') {
+    return null;
+  }
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      throw new Error(
+        `Parameter "${name}" contains invalid JSON: ${error.message}`
+      );
+    }
+  }
+  if (isNullish(value)) {
+    return null;
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Parameter "${name}" must be a JSON object.`);
+  }
+  return (value: any);
+}
+
+// Determines the status of a response according to the GraphQL-over-HTTP
+// specification.
+function getStatus(request: HandlerRequest, result: ExecutionResult): number {
+  const errors = result.errors || [];
+  if (hasErrorCode(errors, ErrorCode.METHOD_NOT_ALLOWED)) {
+    return 405;
+  }
+  if (
+    !('data' in result) &&
+    hasErrorCode(errors, ErrorCode.OPERATION_NOT_SUPPORTED)
+  ) {
+    return 400;
+  }
+  if (!acceptsGraphQLResponse(request) || 'data' in result) {
+    return 200;
+  }
+  return 400;
+}
+
+function hasErrorCode(errors: Array<GraphQLError>, code: string): boolean {
+  return errors.some(error => {
+    const extensions = (error: any).extensions;
+    return Boolean(extensions) && extensions.code === code;
+  });
+}
+
+function acceptsHTML(request: HandlerRequest): boolean {
+  return (request.headers.accept || '').indexOf('text/html') !== -1;
+}
+
+function acceptsGraphQLResponse(request: HandlerRequest): boolean {
+  return (request.headers.accept || '').indexOf(GRAPHQL_RESPONSE_JSON) !== -1;
+}
+
+function jsonResponse(
+  status: number,
+  request: HandlerRequest,
+  result: ExecutionResult,
+  headers?: {[name: string]: string}
+): HandlerResponse {
+  return {
+    status,
+    headers: {
+      ...headers,
+      'content-type': acceptsGraphQLResponse(request) ?
+        `${GRAPHQL_RESPONSE_JSON}; charset=utf-8` :
+        'application/json; charset=utf-8',
+    },
+    body: JSON.stringify(formatResult(result)),
+  };
+}
+
+function errorResponse(
+  status: number,
+  request: HandlerRequest,
+  message: string,
+  code: string,
+  headers?: {[name: string]: string}
+): HandlerResponse {
+  return jsonResponse(
+    status,
+    request,
+    { errors: [ withCode(new GraphQLError(message), code) ] },
+    headers
+  );
+}
@@ -0,0 +1,172 @@
+/* @flow */
+
+import { $$iterator } from 'iterall';
+import { GraphQLError } from 'graphql/error';
+import { formatError } from '../error/formatError';
+import type { ExecutionResult } from '../execution/execute';
+import type {
+  IncrementalExecutionResults,
+  SubsequentResult,
+} from '../execution/incremental';
+
+
+/**
+ * How the payloads of a result are written to a response body:
+ *
+ * multipart:
+ *    A `multipart/mixed; boundary="-"` body with one JSON part per payload.
+ * ndjson:
+ *    Newline-delimited JSON with one line per payload.
+ */
+export type ResponseEncoding = 'multipart' | 'ndjson';
+
+/**
+ * The content type of a response body and the chunks it consists of, which
+ * are only produced as they are iterated, so each chunk can be written to
+ * the response before the payload of the next one is executed.
+ */
+export type EncodedResult = {
+  contentType: string;
+  chunks: Iterator<string>;
+};
+
+const BOUNDARY = '-';
+
+/**
+ * Encodes the result of `graphql` or `execute` as a response body with the
+ * given encoding. The initial result and each subsequent result of an
+ * incremental result become a payload of their own, while any other result
+ * becomes the only payload.
+ *
+ * Errors that are still GraphQLErrors are formatted with `formatError`.
+ */
+export function encodeResult(
+  result: ExecutionResult | IncrementalExecutionResults,
+  encoding: ResponseEncoding
+): EncodedResult {
+  const payloads = getPayloads(result);
+  if (encoding === 'ndjson') {
+    return {
+      contentType: 'application/x-ndjson; charset=utf-8',
+      chunks: mapPayloads(payloads, payload => JSON.stringify(payload) + '\n'),
+    };
+  }
+  return {
+    contentType: `multipart/mixed; boundary="${BOUNDARY}"`,
+    chunks: mapPayloads(
+      payloads,
+      payload =>
+        `\r\n--${BOUNDARY}\r\n` +
+        'Content-Type: application/json; charset=utf-8\r\n\r\n' +
+        JSON.stringify(payload),
+      `\r\n--${BOUNDARY}--\r\n`
+    ),
+  };
+}
+
+/**
+ * Returns the encoding for a request accepting the given media types, or
+ * nothing if it accepts neither multipart nor newline-delimited JSON.
+ */
+export function getResponseEncoding(accept: ?string): ?ResponseEncoding {
+  const mediaTypes = (accept || '').split(',').map(mediaType =>
+    mediaType.split(';')[0].trim().toLowerCase()
+  );
+  if (mediaTypes.indexOf('multipart/mixed') !== -1) {
+    return 'multipart';
+  }
+  if (
+    mediaTypes.indexOf('application/x-ndjson') !== -1 ||
+    mediaTypes.indexOf('application/jsonl') !== -1
+  ) {
+    return 'ndjson';
+  }
+}
+
+/**
+ * Formats the errors of a result or payload that are still GraphQLErrors
+ * with `formatError`, so it can be serialized as JSON.
+ */
+export function formatResult<T: { errors?: ?Array<any> }>(result: T): T {
+  if (!result.errors) {
+    return result;
+  }
+  return {
+    ...result,
+    errors: result.errors.map(error =>
+      error instanceof GraphQLError ? formatError(error) : error
+    ),
+  };
+}
+
+// Returns an iterator of the payloads of a result, with its errors formatted.
+function getPayloads(
+  result: ExecutionResult | IncrementalExecutionResults
+): Iterator<mixed> {
+  if (!result.initialResult) {
+    return [ formatResult((result: any)) ][$$iterator]();
+  }
+  const { initialResult, subsequentResults } = (result: any);
+  let initial = formatResult(initialResult);
+  return ({
+    next() {
+      if (initial) {
+        const value = initial;
+        initial = null;
+        return { value, done: false };
+      }
+      const step = subsequentResults.next();
+      return step.done ?
+        step :
+        { value: formatSubsequentResult(step.value), done: false };
+    },
+    return() {
+      return typeof subsequentResults.return === 'function' ?
+        subsequentResults.return() :
+        { value: undefined, done: true };
+    },
+    [$$iterator]() {
+      return this;
+    },
+  }: any);
+}
+
+// Maps each payload to a chunk, followed by the final chunk if any.
+function mapPayloads(
+  payloads: Iterator<mixed>,
+  encode: (payload: mixed) => string,
+  finalChunk?: string
+): Iterator<string> {
+  let done = false;
+  return ({
+    next() {
+      if (done) {
+        return { value: undefined, done: true };
+      }
+      const step = payloads.next();
+      if (!step.done) {
+        return { value: encode(step.value), done: false };
+      }
+      done = true;
+      return finalChunk ?
+        { value: finalChunk, done: false } :
+        { value: undefined, done: true };
+    },
+    return() {
+      done = true;
+      return typeof payloads.return === 'function' ?
+        payloads.return() :
+        { value: undefined, done: true };
+    },
+    [$$iterator]() {
+      return this;
+    },
+  }: any);
+}
+
+function formatSubsequentResult(result: SubsequentResult): SubsequentResult {
+  return {
+    ...result,
+    incremental: result.incremental.map(formatResult),
+  };
+}
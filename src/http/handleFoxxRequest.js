@@ -0,0 +1,37 @@
+/* @flow */
+
+import { forEach } from 'iterall';
+import type { Handler } from './createHandler';
+
+
+/**
+ * Handles a request of a Foxx route with a handler created by
+ * `createHandler` and writes the response.
+ *
+ * The body is taken from `req.body`, which is the raw body unless the route
+ * defines a body schema.
+ */
+export function handleFoxxRequest(
+  handler: Handler,
+  req: any,
+  res: any
+): void {
+  const response = handler({
+    method: req.method,
+    headers: req.headers,
+    query: req.queryParams || {},
+    body: req.body,
+    raw: req,
+  });
+  res.status(response.status);
+  Object.keys(response.headers).forEach(name => {
+    res.set(name, response.headers[name]);
+  });
+  if (typeof response.body === 'string') {
+    res.write(response.body);
+    return;
+  }
+  forEach((response.body: any), chunk => {
+    res.write(chunk);
+  });
+}
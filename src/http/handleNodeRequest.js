@@ -0,0 +1,131 @@
+/* @flow */
+
+import { forEach } from 'iterall';
+import { parse as parseUrl } from 'url';
+import type { Handler, HandlerResponse } from './createHandler';
+
+
+/**
+ * Options of `handleNodeRequest`.
+ *
+ * maxBodySize:
+ *    The maximum size of a request body in bytes, larger bodies are rejected
+ *    with the status 413. Defaults to 1 MiB.
+ * logError:
+ *    Called with errors thrown while reading the request or writing the
+ *    response, which otherwise only end the response.
+ */
+export type NodeRequestOptions = {
+  maxBodySize?: ?number;
+  logError?: ?(error: mixed) => mixed;
+};
+
+const DEFAULT_MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Handles a request of the Node `http` module with a handler created by
+ * `createHandler` and writes the response.
+ *
+ * The body is read from the request, unless it has already been read into
+ * `req.body`, e.g. by a body parser middleware. Errors reading the request or
+ * writing the response end the response, rather than the process.
+ */
+export function handleNodeRequest(
+  handler: Handler,
+  req: any,
+  res: any,
+  options?: ?NodeRequestOptions
+): void {
+  const maxBodySize = options && options.maxBodySize || DEFAULT_MAX_BODY_SIZE;
+  const logError = options && options.logError;
+  const fail = (status, error) => {
+    if (logError && error) {
+      logError(error);
+    }
+    endWithError(res, status);
+  };
+  const respond = body => {
+    try {
+      writeResponse(res, handler({
+        method: req.method,
+        headers: req.headers,
+        query: req.query || parseUrl(req.url, true).query,
+        body,
+        raw: req,
+      }));
+    } catch (error) {
+      fail(500, error);
+    }
+  };
+
+  if (req.body !== undefined) {
+    respond(req.body);
+    return;
+  }
+  if (Number(req.headers['content-length']) > maxBodySize) {
+    fail(413);
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  let done = false;
+  req.on('data', chunk => {
+    if (done) {
+      return;
+    }
+    size += chunk.length;
+    if (size > maxBodySize) {
+      done = true;
+      chunks.length = 0;
+      fail(413);
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (!done) {
+      done = true;
+      respond(chunks.length === 0 ? null : Buffer.concat(chunks).toString());
+    }
+  });
+  req.on('error', error => {
+    if (!done) {
+      done = true;
+      fail(400, error);
+    }
+  });
+}
+
+// Chunks of incremental results are written as they are produced.
+function writeResponse(res: any, response: HandlerResponse): void {
+  res.writeHead(response.status, response.headers);
+  if (typeof response.body === 'string') {
+    res.end(response.body);
+    return;
+  }
+  forEach((response.body: any), chunk => {
+    res.write(chunk);
+  });
+  res.end();
+}
+
+const STATUS_TEXTS = {
+  '400': 'Bad Request',
+  '413': 'Payload Too Large',
+  '500': 'Internal Server Error',
+};
+
+// The response may already be partially written if an incremental result
+// failed, in which case it can only be ended. The connection of a request
+// whose body is not read is closed.
+function endWithError(res: any, status: number): void {
+  if (!res.headersSent) {
+    res.writeHead(status, {
+      'content-type': 'text/plain; charset=utf-8',
+      ...(status === 413 ? { connection: 'close' } : {}),
+    });
+    res.end(STATUS_TEXTS[String(status)]);
+    return;
+  }
+  res.end();
+}
@@ -0,0 +1,28 @@
+/* @flow */
+
+export { createHandler } from './createHandler';
+export { handleNodeRequest } from './handleNodeRequest';
+export { handleFoxxRequest } from './handleFoxxRequest';
+export { renderGraphiQL } from './renderGraphiQL';
+export { mountFoxxHandler } from './mountFoxxHandler';
+export {
+  MockFoxxRouter,
+  MockFoxxEndpoint,
+  MockFoxxRequest,
+  MockFoxxResponse,
+} from './MockFoxxRouter';
+export {
+  encodeResult,
+  formatResult,
+  getResponseEncoding,
+} from './encodeResult';
+
+export type {
+  Handler,
+  HandlerOptions,
+  HandlerRequest,
+  HandlerResponse,
+} from './createHandler';
+export type { GraphiQLOptions } from './renderGraphiQL';
+export type { MockFoxxRequestOptions } from './MockFoxxRouter';
+export type { EncodedResult, ResponseEncoding } from './encodeResult';
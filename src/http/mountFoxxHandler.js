@@ -0,0 +1,48 @@
+/* @flow */
+
+import { createHandler } from './createHandler';
+import { handleFoxxRequest } from './handleFoxxRequest';
+import type { HandlerOptions, HandlerRequest } from './createHandler';
+
+
+/**
+ * Mounts a handler created by `createHandler` on a route of a Foxx router,
+ * e.g. one returned by `createRouter()`, and returns the endpoint of the
+ * route so it can be documented further.
+ *
+ * Unless `context` is a function, the context value is `context` extended
+ * with the `session` and `user` of the Foxx request. A function is called
+ * with the request, whose `raw` property is the Foxx request.
+ *
+ * Foxx sends the response once the route returns, so incremental results
+ * are delivered as a single response with all of their parts.
+ */
+export function mountFoxxHandler(
+  router: any,
+  path: string,
+  options: HandlerOptions
+): any {
+  const context = options.context;
+  const handler = createHandler({
+    ...options,
+    context: typeof context === 'function' ?
+      context :
+      request => getFoxxContext(request, context),
+  });
+  return router
+    .all(path, (req, res) => handleFoxxRequest(handler, req, res))
+    .summary('GraphQL endpoint')
+    .description(
+      'Executes GraphQL queries sent by GET or POST requests, and mutations ' +
+      'sent by POST requests.'
+    );
+}
+
+function getFoxxContext(request: HandlerRequest, context: mixed): mixed {
+  const req: any = request.raw;
+  return {
+    ...(context: any),
+    session: req.session,
+    user: req.user,
+  };
+}
@@ -0,0 +1,228 @@
+/* @flow */
+
+/**
+ * The options of the GraphiQL page served by `createHandler`.
+ *
+ * endpoint:
+ *    The URL the page sends requests to, which defaults to the URL of the
+ *    page itself, i.e. the endpoint serving it.
+ * title:
+ *    The title of the page.
+ * defaultQuery:
+ *    The query shown when the page is opened without a query.
+ * scripts, stylesheets:
+ *    The URLs of React, ReactDOM and GraphiQL and of the GraphiQL stylesheet,
+ *    optionally with the hash of their contents to check, which default to
+ *    pinned versions on a CDN, checked against their known hashes.
+ * inlineScripts, inlineStylesheets:
+ *    The contents of these assets, which are inlined into the page instead
+ *    of the default URLs, e.g. for servers without access to the internet.
+ */
+export type GraphiQLOptions = {
+  endpoint?: ?string;
+  title?: ?string;
+  defaultQuery?: ?string;
+  scripts?: ?Array<string | GraphiQLAsset>;
+  stylesheets?: ?Array<string | GraphiQLAsset>;
+  inlineScripts?: ?Array<string>;
+  inlineStylesheets?: ?Array<string>;
+};
+
+/**
+ * The URL of an asset of the GraphiQL page, and the Subresource Integrity
+ * hash of its contents, e.g. "sha384-...", which browsers check before
+ * using it.
+ */
+export type GraphiQLAsset = {
+  url: string;
+  integrity?: ?string;
+};
+
+const DEFAULT_SCRIPTS = [
+  {
+    url: 'https://unpkg.com/react@17.0.2/umd/react.production.min.js',
+    integrity: 'sha384-' +
+      '7Er69WnAl0+tY5MWEvnQzWHeDFjgHSnlQfDDeWUvv8qlRXtzaF/pNo18Q2aoZNiO',
+  },
+  {
+    url: 'https://unpkg.com/react-dom@17.0.2/umd/react-dom.production.min.js',
+    integrity: 'sha384-' +
+      'vj2XpC1SOa8PHrb0YlBqKN7CQzJYO72jz4CkDQ+ePL1pwOV4+dn05rPrbLGUuvCv',
+  },
+  {
+    url: 'https://unpkg.com/graphiql@1.4.7/graphiql.min.js',
+    integrity: 'sha384-' +
+      'sDK9xvE5fVRiyOv5lVbh5UuWUMkwvU3G67VYzLX2G1WMIeQ7fKOLCmeKnzfrukdv',
+  },
+];
+
+const DEFAULT_STYLESHEETS = [
+  {
+    url: 'https://unpkg.com/graphiql@1.4.7/graphiql.min.css',
+    integrity: 'sha384-' +
+      '1YHEU+Xy8hlKYAZ26WTz+JQEPMM6i/Mx5m8umMkSZChlzSYmq7RqyCyRbGqrILVZ',
+  },
+];
+
+/**
+ * Renders a page exploring the GraphQL endpoint serving it with GraphiQL,
+ * with the query, variables and operation name taken from the parameters of
+ * the request. If GraphiQL cannot be loaded, the page falls back to a plain
+ * editor, so it remains usable without access to the assets.
+ */
+export function renderGraphiQL(
+  options: GraphiQLOptions,
+  params: {[key: string]: mixed}
+): string {
+  const inlineScripts = options.inlineScripts || [];
+  const inlineStylesheets = options.inlineStylesheets || [];
+  const scripts = options.scripts ||
+    (inlineScripts.length === 0 ? DEFAULT_SCRIPTS : []);
+  const stylesheets = options.stylesheets ||
+    (inlineStylesheets.length === 0 ? DEFAULT_STYLESHEETS : []);
+  const config = {
+    endpoint: options.endpoint || null,
+    defaultQuery: options.defaultQuery || null,
+    query: getParam(params, 'query'),
+    variables: getParam(params, 'variables'),
+    operationName: getParam(params, 'operationName'),
+  };
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(options.title || 'GraphiQL')}</title>
+<style>
+html, body, #graphiql { height: 100%; margin: 0; overflow: hidden; }
+#graphiql textarea { box-sizing: border-box; width: 100%; height: 30%; }
+#graphiql pre { height: 50%; overflow: auto; }
+</style>
+${stylesheets.map(asset =>
+  `<link rel="stylesheet"${renderAssetAttributes(asset, 'href')}>`
+).join('\n')}
+${inlineStylesheets.map(css =>
+  `<style>${escapeInline(css, 'style')}</style>`
+).join('\n')}
+</head>
+<body>
+<div id="graphiql">Loading...</div>
+${scripts.map(asset =>
+  `<script${renderAssetAttributes(asset, 'src')}></script>`
+).join('\n')}
+${inlineScripts.map(js =>
+  `<script>${escapeInline(js, 'script')}</script>`
+).join('\n')}
+<script>
+(function (config) {
+  var root = document.getElementById('graphiql');
+  function fetcher(params) {
+    return fetch(config.endpoint || window.location.pathname, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        accept: 'application/json'
+      },
+      body: JSON.stringify(params),
+      credentials: 'same-origin'
+    }).then(function (response) {
+      return response.text();
+    }).then(function (text) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        return text;
+      }
+    });
+  }
+  if (window.React && window.ReactDOM && window.GraphiQL) {
+    ReactDOM.render(React.createElement(GraphiQL, {
+      fetcher: fetcher,
+      query: config.query || undefined,
+      variables: config.variables || undefined,
+      operationName: config.operationName || undefined,
+      defaultQuery: config.defaultQuery || undefined
+    }), root);
+    return;
+  }
+  root.style.overflow = 'auto';
+  root.innerHTML = '<p>GraphiQL could not be loaded.</p>' +
+    '<textarea id="query" placeholder="Query"></textarea>' +
+    '<textarea id="variables" placeholder="Variables"></textarea>' +
+    '<button id="run">Run</button><pre id="result"></pre>';
+  var query = document.getElementById('query');
+  var variables = document.getElementById('variables');
+  query.value = config.query || config.defaultQuery || '';
+  variables.value = config.variables || '';
+  document.getElementById('run').onclick = function () {
+    var result = document.getElementById('result');
+    try {
+      var params = {
+        query: query.value,
+        variables: variables.value ? JSON.parse(variables.value) : null,
+        operationName: config.operationName
+      };
+    } catch (error) {
+      result.textContent = 'Invalid variables: ' + error.message;
+      return;
+    }
+    fetcher(params).then(function (data) {
+      result.textContent = typeof data === 'string' ?
+        data :
+        JSON.stringify(data, null, 2);
+    });
+  };
+})(${serializeScriptValue(config)});
+</script>
+</body>
+</html>
+`;
+}
+
+function getParam(params: {[key: string]: mixed}, name: string): ?string {
+  const value = params[name];
+  return typeof value === 'string' ? value : null;
+}
+
+function escapeHTML(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function renderAssetAttributes(
+  asset: string | GraphiQLAsset,
+  urlAttribute: string
+): string {
+  if (typeof asset === 'string') {
+    return ` ${urlAttribute}="${escapeHTML(asset)}"`;
+  }
+  const url = ` ${urlAttribute}="${escapeHTML(asset.url)}"`;
+  if (!asset.integrity) {
+    return url;
+  }
+  const integrity = escapeHTML(asset.integrity);
+  return `${url} integrity="${integrity}" crossorigin="anonymous"`;
+}
+
+// Serializes a value as JavaScript that can be embedded in a script element,
+// escaping anything that could end the element or the string it is in.
+function serializeScriptValue(value: mixed): string {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/&/g, '\\u0026')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Keeps inlined assets from closing their element early. Unlike values,
+// their code cannot be escaped as a whole.
+function escapeInline(content: string, tagName: string): string {
+  return content.replace(
+    new RegExp(`</(${tagName})`, 'gi'),
+    '<\\/$1'
+  );
+}
@@ -1,9 +1,41 @@
 const gql = require('graphql');
 const execution = require('./execution');
+const persistedQueries = require('./persistedQueries');
+const subscription = require('./subscription');
+const error = require('./error');
+const http = require('./http');
 module.exports = {
   ...gql,
   graphql: require('./graphql').graphql,
+  prepare: require('./prepare').prepare,
   execute: execution.execute,
   defaultFieldResolver: execution.defaultFieldResolver,
-  responsePathAsArray: execution.responsePathAsArray
+  responsePathAsArray: execution.responsePathAsArray,
+  CancellationToken: execution.CancellationToken,
+  GraphQLDeferDirective: execution.GraphQLDeferDirective,
+  GraphQLStreamDirective: execution.GraphQLStreamDirective,
+  subscribe: subscription.subscribe,
+  createSourceEventStream: subscription.createSourceEventStream,
+  PubSub: subscription.PubSub,
+  EventQueue: subscription.EventQueue,
+  UserFacingError: error.UserFacingError,
+  ErrorCode: error.ErrorCode,
+  formatError: error.formatError,
+  locatedError: error.locatedError,
+  createHandler: http.createHandler,
+  handleNodeRequest: http.handleNodeRequest,
+  handleFoxxRequest: http.handleFoxxRequest,
+  mountFoxxHandler: http.mountFoxxHandler,
+  MockFoxxRouter: http.MockFoxxRouter,
+  encodeResult: http.encodeResult,
+  getResponseEncoding: http.getResponseEncoding,
+  Tracer: require('./execution/tracing').Tracer,
+  DocumentCache: require('./utilities/DocumentCache').DocumentCache,
+  ResponseCache: require('./utilities/ResponseCache').ResponseCache,
+  MemoryQueryStore: persistedQueries.MemoryQueryStore,
+  FileQueryStore: persistedQueries.FileQueryStore,
+  hashQuery: persistedQueries.hashQuery,
+  MaxDepth: require('./validation').MaxDepth,
+  getOperationComplexity:
+    require('./utilities/getOperationComplexity').getOperationComplexity
 };
@@ -0,0 +1,29 @@
+/* @flow */
+
+let randomFn;
+
+/**
+ * Returns a random hex string of the given length, using the crypto module
+ * of ArangoDB if available, or the one of Node.js otherwise.
+ */
+export default function randomId(length: number = 16): string {
+  if (!randomFn) {
+    randomFn = getRandomFunction();
+  }
+  return randomFn(length);
+}
+
+function getRandomFunction(): (length: number) => string {
+  try {
+    // $FlowFixMe: only available inside ArangoDB.
+    const crypto = require('@arangodb/crypto');
+    return length => crypto.genRandomBytes(Math.ceil(length / 2))
+      .toString('hex')
+      .slice(0, length);
+  } catch (e) {
+    const crypto = require('crypto');
+    return length => crypto.randomBytes(Math.ceil(length / 2))
+      .toString('hex')
+      .slice(0, length);
+  }
+}
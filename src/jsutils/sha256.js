@@ -0,0 +1,24 @@
+/* @flow */
+
+let hashFn;
+
+/**
+ * Returns the hex-encoded SHA-256 digest of the given text, using the crypto
+ * module of ArangoDB if available, or the one of Node.js otherwise.
+ */
+export default function sha256(text: string): string {
+  if (!hashFn) {
+    hashFn = getHashFunction();
+  }
+  return hashFn(text);
+}
+
+function getHashFunction(): (text: string) => string {
+  try {
+    // $FlowFixMe: only available inside ArangoDB.
+    return require('@arangodb/crypto').sha256;
+  } catch (e) {
+    const crypto = require('crypto');
+    return text => crypto.createHash('sha256').update(text).digest('hex');
+  }
+}
@@ -0,0 +1,85 @@
+/* @flow */
+
+import fs from 'fs';
+import invariant from 'graphql/jsutils/invariant';
+import randomId from '../jsutils/randomId';
+import type { PersistedQueryStore } from './resolvePersistedQuery';
+
+
+/**
+ * A persisted query store backed by a JSON file containing an object that
+ * maps query hashes to query text.
+ *
+ * The file is read when the first query is looked up. Queries registered by
+ * clients are written back to the file immediately, unless the store was
+ * created as read-only. The file is written to a temporary file next to it
+ * first, which then replaces it, so a write failing halfway leaves the
+ * previous file intact. This requires the `fs` module to be able to rename
+ * files, using `renameSync` in Node.js or `move` in ArangoDB; otherwise the
+ * file is overwritten in place. Stores of several processes sharing a file
+ * do not see each other's queries until they are restarted.
+ *
+ * As any client can register queries, queries are no longer registered once
+ * the file contains `maxSize` (1000 by default) queries.
+ */
+export class FileQueryStore implements PersistedQueryStore {
+  filename: string;
+  readOnly: boolean;
+  maxSize: number;
+  _queries: ?{[hash: string]: string};
+
+  constructor(
+    filename: string,
+    options?: ?{ readOnly?: ?boolean, maxSize?: ?number }
+  ) {
+    const maxSize = options && options.maxSize;
+    invariant(
+      maxSize === undefined || maxSize === null || maxSize > 0,
+      'FileQueryStore maxSize must be a positive number.'
+    );
+    this.filename = filename;
+    this.readOnly = Boolean(options && options.readOnly);
+    this.maxSize = maxSize || 1000;
+    this._queries = null;
+  }
+
+  get(hash: string): ?string {
+    const queries = this._load();
+    return Object.prototype.hasOwnProperty.call(queries, hash) ?
+      queries[hash] :
+      undefined;
+  }
+
+  set(hash: string, query: string): void {
+    const queries = this._load();
+    if (Object.keys(queries).length >= this.maxSize) {
+      return;
+    }
+    queries[hash] = query;
+    if (!this.readOnly) {
+      replaceFile(this.filename, JSON.stringify(queries, null, 2));
+    }
+  }
+
+  _load(): {[hash: string]: string} {
+    if (!this._queries) {
+      this._queries = fs.existsSync(this.filename) ?
+        JSON.parse(fs.readFileSync(this.filename, 'utf-8')) :
+        {};
+    }
+    return this._queries;
+  }
+}
+
+// The name of the temporary file is random, as neither the process nor the
+// thread writing it can be identified on all platforms.
+function replaceFile(filename: string, content: string): void {
+  const rename = (fs: any).renameSync || (fs: any).move;
+  if (!rename) {
+    fs.writeFileSync(filename, content);
+    return;
+  }
+  const tempFilename = `${filename}.${randomId(8)}.tmp`;
+  fs.writeFileSync(tempFilename, content);
+  rename.call(fs, tempFilename, filename);
+}
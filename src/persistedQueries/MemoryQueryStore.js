@@ -0,0 +1,65 @@
+/* @flow */
+
+import invariant from 'graphql/jsutils/invariant';
+import type { PersistedQueryStore } from './resolvePersistedQuery';
+
+
+/**
+ * A persisted query store keeping the queries in memory. Queries registered
+ * by clients are lost when the process exits.
+ *
+ * As any client can register queries, only the `maxSize` (1000 by default)
+ * most recently used ones are kept. The queries the store was created with
+ * are always kept.
+ */
+export class MemoryQueryStore implements PersistedQueryStore {
+  maxSize: number;
+  _queries: {[hash: string]: string};
+  _registered: Map<string, string>;
+
+  constructor(
+    queries?: ?{[hash: string]: string},
+    options?: ?{ maxSize?: ?number }
+  ) {
+    const maxSize = options && options.maxSize;
+    invariant(
+      maxSize === undefined || maxSize === null || maxSize > 0,
+      'MemoryQueryStore maxSize must be a positive number.'
+    );
+    this.maxSize = maxSize || 1000;
+    this._queries = Object.create(null);
+    this._registered = new Map();
+    if (queries) {
+      Object.keys(queries).forEach(hash => {
+        this._queries[hash] = queries[hash];
+      });
+    }
+  }
+
+  get(hash: string): ?string {
+    const query = this._queries[hash];
+    if (query !== undefined) {
+      return query;
+    }
+    const registered = this._registered.get(hash);
+    if (registered !== undefined) {
+      // Re-insert the query to mark it as the most recently used one.
+      this._registered.delete(hash);
+      this._registered.set(hash, registered);
+    }
+    return registered;
+  }
+
+  set(hash: string, query: string): void {
+    if (this._queries[hash] !== undefined) {
+      return;
+    }
+    this._registered.delete(hash);
+    this._registered.set(hash, query);
+    while (this._registered.size > this.maxSize) {
+      // Maps iterate in insertion order, so the first key is the least
+      // recently used one.
+      this._registered.delete(this._registered.keys().next().value);
+    }
+  }
+}
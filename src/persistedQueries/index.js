@@ -0,0 +1,12 @@
+export {
+  resolvePersistedQuery,
+  hashQuery,
+} from './resolvePersistedQuery';
+export { MemoryQueryStore } from './MemoryQueryStore';
+export { FileQueryStore } from './FileQueryStore';
+
+export type {
+  PersistedQueryStore,
+  PersistedQueryOptions,
+  PersistedQueryExtension,
+} from './resolvePersistedQuery';
@@ -0,0 +1,129 @@
+/* @flow */
+
+import { GraphQLError } from 'graphql/error';
+import sha256 from '../jsutils/sha256';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import type { Source } from 'graphql/language/source';
+
+
+/**
+ * A synchronous store mapping query hashes to query text.
+ */
+export interface PersistedQueryStore {
+  get(hash: string): ?string;
+  set(hash: string, query: string): void;
+}
+
+export type PersistedQueryOptions = {
+  store: PersistedQueryStore;
+  // Only execute queries already registered in the store.
+  allowlist?: ?boolean;
+};
+
+/**
+ * The `persistedQuery` request extension as sent by clients implementing
+ * Automatic Persisted Queries.
+ */
+export type PersistedQueryExtension = {
+  version: number;
+  sha256Hash: string;
+};
+
+/**
+ * Returns the hash identifying the given query text in a persisted query
+ * store.
+ */
+export function hashQuery(query: string): string {
+  return sha256(query);
+}
+
+/**
+ * Determines the source to execute for a request that may reference a
+ * persisted query by its hash instead of sending the query text.
+ *
+ * Query text sent along with a hash is registered in the store, unless only
+ * allowlisted queries may be executed, in which case query text is refused
+ * if it is not already known.
+ */
+export function resolvePersistedQuery(
+  source: ?(string | Source),
+  extensions: ?{ persistedQuery?: ?PersistedQueryExtension },
+  options: ?PersistedQueryOptions
+): { source?: string | Source, errors?: Array<GraphQLError> } {
+  const persistedQuery = extensions && extensions.persistedQuery;
+  if (!options) {
+    if (persistedQuery) {
+      return {
+        errors: [ persistedQueryError(
+          'PersistedQueryNotSupported',
+          ErrorCode.PERSISTED_QUERY_NOT_SUPPORTED
+        ) ]
+      };
+    }
+    return { source: source || undefined };
+  }
+
+  if (!persistedQuery) {
+    if (source && options.allowlist) {
+      const body = typeof source === 'string' ? source : source.body;
+      if (!options.store.get(hashQuery(body))) {
+        return {
+          errors: [ persistedQueryError(
+            'PersistedQueryNotAllowed',
+            ErrorCode.PERSISTED_QUERY_NOT_ALLOWED
+          ) ]
+        };
+      }
+    }
+    return { source: source || undefined };
+  }
+
+  if (persistedQuery.version !== 1) {
+    return {
+      errors: [ persistedQueryError(
+        'Unsupported persisted query version.',
+        ErrorCode.BAD_REQUEST
+      ) ]
+    };
+  }
+
+  const hash = persistedQuery.sha256Hash;
+  if (!source) {
+    const query = options.store.get(hash);
+    if (!query) {
+      return {
+        errors: [ persistedQueryError(
+          'PersistedQueryNotFound',
+          ErrorCode.PERSISTED_QUERY_NOT_FOUND
+        ) ]
+      };
+    }
+    return { source: query };
+  }
+
+  const body = typeof source === 'string' ? source : source.body;
+  if (hashQuery(body) !== hash) {
+    return {
+      errors: [ persistedQueryError(
+        'Provided sha256Hash does not match query.',
+        ErrorCode.BAD_REQUEST
+      ) ]
+    };
+  }
+  if (!options.store.get(hash)) {
+    if (options.allowlist) {
+      return {
+        errors: [ persistedQueryError(
+          'PersistedQueryNotAllowed',
+          ErrorCode.PERSISTED_QUERY_NOT_ALLOWED
+        ) ]
+      };
+    }
+    options.store.set(hash, body);
+  }
+  return { source };
+}
+
+function persistedQueryError(message: string, code: string): GraphQLError {
+  return withCode(new GraphQLError(message), code);
+}
@@ -0,0 +1,146 @@
+/* @flow */
+
+import { parseAndValidate } from './graphql';
+import {
+  prepareOperation,
+  executePrepared,
+  sendResult,
+} from './execution/execute';
+import { compileOperation, executeCompiled } from './execution/compile';
+import { createErrorFormatter } from './error/formatErrors';
+import type { Source } from 'graphql/language/source';
+import type { GraphQLFieldResolver } from 'graphql/type/definition';
+import type { GraphQLSchema } from 'graphql/type/schema';
+import type {
+  ExecutionOptions,
+  ExecutionResult,
+} from './execution/execute';
+import type { ValidationRules } from './graphql';
+import type { DocumentCache } from './utilities/DocumentCache';
+
+
+/**
+ * A function executing a prepared operation against the given root value,
+ * context value and variables.
+ */
+export type PreparedQuery = (
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{[key: string]: mixed}
+) => ExecutionResult;
+
+/**
+ * Does the work of `graphql` that only depends on the source once: parsing,
+ * validating, selecting the operation to execute and collecting its root
+ * fields. Returns a function that executes the operation and can be called
+ * any number of times.
+ *
+ * Accepts either an object with named arguments, or individual arguments.
+ * See `graphql` for a description of the arguments.
+ *
+ * If the source cannot be executed, the returned function always returns
+ * the errors explaining why.
+ *
+ * With the `compile` option, the operation is compiled into a function for
+ * each field selected, which returns the same results as the interpreter
+ * but does not repeat the work that only depends on the operation for every
+ * object it completes.
+ */
+declare function prepare({|
+  schema: GraphQLSchema,
+  source: string | Source,
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  documentCache?: ?DocumentCache,
+  validationRules?: ?ValidationRules,
+  skipValidation?: ?boolean,
+  maxDepth?: ?number,
+  operationMaxDepths?: ?{[operationName: string]: number},
+  compile?: ?boolean,
+  ...ExecutionOptions
+|}, ..._: []): PreparedQuery;
+/* eslint-disable no-redeclare */
+declare function prepare(
+  schema: GraphQLSchema,
+  source: Source | string,
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>
+): PreparedQuery;
+export function prepare(
+  argsOrSchema,
+  source,
+  operationName,
+  fieldResolver
+) {
+  // Extract arguments from object args if provided.
+  const args = arguments.length === 1 ? argsOrSchema : undefined;
+  const schema = args ? args.schema : argsOrSchema;
+  return args ?
+    prepareImpl(
+      schema,
+      args.source,
+      args.operationName,
+      args.fieldResolver,
+      args,
+    ) :
+    prepareImpl(
+      schema,
+      source,
+      operationName,
+      fieldResolver,
+      {},
+    );
+}
+
+function prepareImpl(
+  schema,
+  source,
+  operationName,
+  fieldResolver,
+  options
+) {
+  const { document, errors } = parseAndValidate(schema, source, options);
+  if (!document) {
+    return () => sendErrors(errors, options);
+  }
+
+  let prepared;
+  try {
+    prepared = prepareOperation(
+      schema,
+      document,
+      operationName,
+      fieldResolver,
+      options
+    );
+  } catch (error) {
+    return () => sendErrors([ error ], options);
+  }
+
+  // Deferred fragments and streamed fields are only supported by the
+  // interpreter.
+  if (options.compile && !options.incremental) {
+    const compiled = compileOperation(prepared);
+    return (rootValue, contextValue, variableValues) => executeCompiled(
+      compiled,
+      rootValue,
+      contextValue,
+      variableValues
+    );
+  }
+
+  return (rootValue, contextValue, variableValues) => executePrepared(
+    prepared,
+    rootValue,
+    contextValue,
+    variableValues
+  );
+}
+
+function sendErrors(errors, options) {
+  return sendResult(
+    { errors },
+    options.plugins || [],
+    createErrorFormatter(options)
+  );
+}
@@ -0,0 +1,94 @@
+/* @flow */
+
+import { $$iterator } from 'iterall';
+
+
+/**
+ * A synchronous event stream buffering the events pushed to it until they
+ * are pulled by calling `next`.
+ *
+ * Because pulling an event cannot wait for the next one to be pushed, `next`
+ * reports the stream as done whenever there are no buffered events. Unlike
+ * most iterators, the queue can be iterated again later to receive the
+ * events pushed in the meantime, until it is closed by calling `end` or
+ * `return`.
+ */
+export class EventQueue<T> {
+  _events: Array<T>;
+  _closed: boolean;
+  _onReturn: ?() => void;
+
+  constructor(onReturn?: ?() => void) {
+    this._events = [];
+    this._closed = false;
+    this._onReturn = onReturn;
+  }
+
+  get closed(): boolean {
+    return this._closed;
+  }
+
+  get size(): number {
+    return this._events.length;
+  }
+
+  push(event: T): void {
+    if (!this._closed) {
+      this._events.push(event);
+    }
+  }
+
+  /**
+   * Stops accepting new events. Events already pushed can still be pulled.
+   */
+  end(): void {
+    this._closed = true;
+  }
+
+  next(): IteratorResult<T, void> {
+    if (this._events.length !== 0) {
+      return { value: this._events.shift(), done: false };
+    }
+    return { value: undefined, done: true };
+  }
+
+  /**
+   * Closes the queue and drops all buffered events.
+   */
+  return(): IteratorResult<T, void> {
+    this._closed = true;
+    this._events = [];
+    const onReturn = this._onReturn;
+    this._onReturn = null;
+    if (onReturn) {
+      onReturn();
+    }
+    return { value: undefined, done: true };
+  }
+
+  // $FlowFixMe: computed property keys are not supported by flow.
+  [$$iterator]() {
+    return this;
+  }
+}
+
+/**
+ * Returns an EventQueue receiving the `data` events of an event emitter,
+ * which is closed by its `end` event.
+ */
+export function eventQueueFromEmitter(emitter: {
+  on: (event: string, listener: Function) => mixed,
+  removeListener?: (event: string, listener: Function) => mixed,
+}): EventQueue<mixed> {
+  const onData = data => queue.push(data);
+  const onEnd = () => queue.end();
+  const queue = new EventQueue(() => {
+    if (emitter.removeListener) {
+      emitter.removeListener('data', onData);
+      emitter.removeListener('end', onEnd);
+    }
+  });
+  emitter.on('data', onData);
+  emitter.on('end', onEnd);
+  return queue;
+}
@@ -0,0 +1,56 @@
+/* @flow */
+
+import { EventQueue } from './EventQueue';
+
+
+/**
+ * A local, in-memory publish/subscribe mechanism to use as the source of
+ * subscription events, e.g. in tests.
+ *
+ * Subscription fields can return `pubsub.iterator(trigger)` from their
+ * `subscribe` function to receive everything published for the trigger.
+ */
+export class PubSub {
+  _subscribers: {[trigger: string]: Array<EventQueue<mixed>>};
+
+  constructor() {
+    this._subscribers = Object.create(null);
+  }
+
+  /**
+   * Sends the payload to every subscriber of the trigger. Returns whether
+   * there were any subscribers.
+   */
+  publish(trigger: string, payload: mixed): boolean {
+    const subscribers = this._subscribers[trigger];
+    if (!subscribers || subscribers.length === 0) {
+      return false;
+    }
+    subscribers.slice().forEach(queue => queue.push(payload));
+    return true;
+  }
+
+  /**
+   * Returns an EventQueue receiving the payloads published for any of the
+   * given triggers until it is closed.
+   */
+  iterator(triggers: string | Array<string>): EventQueue<mixed> {
+    const triggerNames = Array.isArray(triggers) ? triggers : [ triggers ];
+    const queue = new EventQueue(() => {
+      triggerNames.forEach(trigger => {
+        const subscribers = this._subscribers[trigger];
+        const index = subscribers ? subscribers.indexOf(queue) : -1;
+        if (index !== -1) {
+          subscribers.splice(index, 1);
+        }
+      });
+    });
+    triggerNames.forEach(trigger => {
+      if (!this._subscribers[trigger]) {
+        this._subscribers[trigger] = [];
+      }
+      this._subscribers[trigger].push(queue);
+    });
+    return queue;
+  }
+}
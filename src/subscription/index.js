@@ -0,0 +1,5 @@
+/* @flow */
+
+export { subscribe, createSourceEventStream } from './subscribe';
+export { EventQueue, eventQueueFromEmitter } from './EventQueue';
+export { PubSub } from './PubSub';
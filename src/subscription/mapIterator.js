@@ -0,0 +1,28 @@
+/* @flow */
+
+import { $$iterator } from 'iterall';
+
+
+/**
+ * Given a synchronous iterator and a callback function, return an iterator
+ * which produces values mapped via calling the callback function.
+ */
+export default function mapIterator<T, U>(
+  iterator: Iterator<T>,
+  callback: (value: T) => U
+): Iterator<U> {
+  return ({
+    next() {
+      const step = iterator.next();
+      return step.done ? step : { value: callback(step.value), done: false };
+    },
+    return() {
+      return typeof iterator.return === 'function' ?
+        iterator.return() :
+        { value: undefined, done: true };
+    },
+    [$$iterator]() {
+      return this;
+    },
+  }: any);
+}
@@ -0,0 +1,274 @@
+/* @flow */
+
+import { getIterator } from 'iterall';
+import { GraphQLError } from 'graphql/error';
+import {
+  addPath,
+  assertValidExecutionArguments,
+  buildExecutionContext,
+  buildResolveInfo,
+  collectFields,
+  execute,
+  getFieldDef,
+  getOperationRootType,
+  resolveFieldValueOrError,
+  responsePathAsArray,
+  sendResult,
+} from '../execution/execute';
+import { ErrorCode, withCode } from '../error/ErrorCode';
+import { createErrorFormatter } from '../error/formatErrors';
+import { locatedError } from '../error/locatedError';
+import { eventQueueFromEmitter } from './EventQueue';
+import mapIterator from './mapIterator';
+import type { ExecutionOptions, ExecutionResult } from '../execution/execute';
+import type { DocumentNode } from 'graphql/language/ast';
+import type { GraphQLFieldResolver } from 'graphql/type/definition';
+import type { GraphQLSchema } from 'graphql/type/schema';
+
+
+/**
+ * Implements the "Subscribe" algorithm described in the GraphQL specification.
+ *
+ * Returns an Iterator of ExecutionResults, each the result of executing the
+ * operation with an event of the source event stream as the root value, or
+ * an ExecutionResult containing the errors that prevented subscribing.
+ *
+ * Because everything is synchronous, events are only mapped when they are
+ * pulled from the returned iterator. Calling its `return` method closes the
+ * source event stream.
+ *
+ * Accepts either an object with named arguments, or individual arguments.
+ * The object form also accepts the options of `execute`, which are applied
+ * to the execution of each event.
+ */
+declare function subscribe({|
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{[key: string]: mixed},
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  subscribeFieldResolver?: ?GraphQLFieldResolver<any, any>,
+  ...ExecutionOptions
+|}, ..._: []): Iterator<ExecutionResult> | ExecutionResult;
+/* eslint-disable no-redeclare */
+declare function subscribe(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{[key: string]: mixed},
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>,
+  subscribeFieldResolver?: ?GraphQLFieldResolver<any, any>
+): Iterator<ExecutionResult> | ExecutionResult;
+export function subscribe(
+  argsOrSchema,
+  document,
+  rootValue,
+  contextValue,
+  variableValues,
+  operationName,
+  fieldResolver,
+  subscribeFieldResolver
+) {
+  // Extract arguments from object args if provided.
+  const args = arguments.length === 1 ? argsOrSchema : undefined;
+  const schema = args ? args.schema : argsOrSchema;
+  return args ?
+    subscribeImpl(
+      schema,
+      args.document,
+      args.rootValue,
+      args.contextValue,
+      args.variableValues,
+      args.operationName,
+      args.fieldResolver,
+      args.subscribeFieldResolver,
+      args,
+    ) :
+    subscribeImpl(
+      schema,
+      document,
+      rootValue,
+      contextValue,
+      variableValues,
+      operationName,
+      fieldResolver,
+      subscribeFieldResolver,
+      {},
+    );
+}
+
+function subscribeImpl(
+  schema,
+  document,
+  rootValue,
+  contextValue,
+  variableValues,
+  operationName,
+  fieldResolver,
+  subscribeFieldResolver,
+  options
+) {
+  const sourceStream = createSourceEventStream(
+    schema,
+    document,
+    rootValue,
+    contextValue,
+    variableValues,
+    operationName,
+    subscribeFieldResolver
+  );
+
+  // For each payload yielded from a subscription, map it over the normal
+  // GraphQL `execute` function, with `payload` as the rootValue.
+  // This implements the "MapSourceToResponseEvent" algorithm described in
+  // the GraphQL specification. The `execute` function provides the
+  // "ExecuteSubscriptionEvent" algorithm, as it is nearly identical to the
+  // "ExecuteQuery" algorithm, for which `execute` is also used.
+  const mapSourceToResponse = payload => execute({
+    ...options,
+    schema,
+    document,
+    rootValue: payload,
+    contextValue,
+    variableValues,
+    operationName,
+    fieldResolver,
+    incremental: false,
+  });
+
+  if (typeof sourceStream.next === 'function') {
+    return mapIterator((sourceStream: any), mapSourceToResponse);
+  }
+  return sendResult(
+    ((sourceStream: any): ExecutionResult),
+    options.plugins || [],
+    createErrorFormatter(options)
+  );
+}
+
+/**
+ * Implements the "CreateSourceEventStream" algorithm described in the
+ * GraphQL specification, resolving the subscription source event stream.
+ *
+ * Returns an Iterator of events, or an ExecutionResult containing the errors
+ * that prevented resolving it.
+ *
+ * The `subscribe` function of the subscription field (or the given
+ * `fieldResolver`) must return an Iterator, an Iterable or an event emitter,
+ * whose `data` events are buffered in an EventQueue until they are pulled.
+ */
+export function createSourceEventStream(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  rootValue?: mixed,
+  contextValue?: mixed,
+  variableValues?: ?{[key: string]: mixed},
+  operationName?: ?string,
+  fieldResolver?: ?GraphQLFieldResolver<any, any>
+): Iterator<mixed> | ExecutionResult {
+  // If arguments are missing or incorrectly typed, this is an internal
+  // developer mistake which should throw an early error.
+  assertValidExecutionArguments(schema, document, variableValues);
+
+  try {
+    // If a valid context cannot be created due to incorrect arguments,
+    // the errors are returned.
+    const exeContext = buildExecutionContext(
+      schema,
+      document,
+      rootValue,
+      contextValue,
+      variableValues,
+      operationName,
+      fieldResolver
+    );
+    if (Array.isArray(exeContext)) {
+      return { errors: exeContext };
+    }
+
+    const type = getOperationRootType(schema, exeContext.operation);
+    const fields = collectFields(
+      exeContext,
+      type,
+      exeContext.operation.selectionSet,
+      Object.create(null),
+      Object.create(null)
+    );
+    const responseNames = Object.keys(fields);
+    const responseName = responseNames[0];
+    const fieldNodes = fields[responseName];
+    const fieldNode = fieldNodes[0];
+    const fieldDef = getFieldDef(schema, type, fieldNode.name.value);
+    if (!fieldDef) {
+      throw withCode(
+        new Error('This subscription is not defined by the schema.'),
+        ErrorCode.INTERNAL_SERVER_ERROR
+      );
+    }
+
+    // Call the `subscribe()` resolver or the default resolver to produce an
+    // event stream.
+    const resolveFn = fieldDef.subscribe || exeContext.fieldResolver;
+
+    const path = addPath(undefined, responseName);
+
+    const info = buildResolveInfo(
+      exeContext,
+      fieldDef,
+      fieldNodes,
+      type,
+      path
+    );
+
+    const subscription = resolveFieldValueOrError(
+      exeContext,
+      fieldDef,
+      fieldNodes,
+      resolveFn,
+      rootValue,
+      info
+    );
+
+    if (subscription instanceof Error) {
+      throw locatedError(
+        subscription,
+        fieldNodes,
+        responsePathAsArray(path),
+      );
+    }
+
+    const eventStream = toEventStream(subscription);
+    if (!eventStream) {
+      throw withCode(new Error(
+        'Subscription field must return an Iterator, an Iterable or an ' +
+        `event emitter. Received: ${String(subscription)}`
+      ), ErrorCode.INVALID_RETURN_VALUE);
+    }
+    return eventStream;
+  } catch (error) {
+    if (error instanceof GraphQLError) {
+      return { errors: [ error ] };
+    }
+    throw error;
+  }
+}
+
+function toEventStream(value: mixed): ?Iterator<mixed> {
+  if (!value || typeof value !== 'object') {
+    return;
+  }
+  if (typeof value.next === 'function') {
+    return (value: any);
+  }
+  const iterator = getIterator(value);
+  if (iterator) {
+    return iterator;
+  }
+  if (typeof value.on === 'function') {
+    return eventQueueFromEmitter((value: any));
+  }
+}
@@ -0,0 +1,107 @@
+/* @flow */
+
+import invariant from 'graphql/jsutils/invariant';
+import type { GraphQLError } from 'graphql/error';
+import type { DocumentNode } from 'graphql/language/ast';
+import type { Source } from 'graphql/language/source';
+import type { GraphQLSchema } from 'graphql/type/schema';
+
+
+/**
+ * What is remembered about a source: the parsed document and, once it has
+ * been validated against the specified rules, the errors reported by them
+ * (empty if it is valid).
+ */
+export type DocumentCacheEntry = {
+  document: DocumentNode;
+  validationErrors: ?Array<GraphQLError>;
+};
+
+/**
+ * A bounded least-recently-used cache of parsed and validated documents,
+ * keyed by the source text and the identity of the schema it was validated
+ * against. The name and location offset of a `Source` are part of the key,
+ * as the locations of the document refer to them.
+ *
+ * Pass an instance as `documentCache` to `graphql()` to skip parsing and
+ * validation for sources that have been seen before. The `hits` and `misses`
+ * counters can be used to tell whether the cache is large enough.
+ */
+export class DocumentCache {
+  maxSize: number;
+  hits: number;
+  misses: number;
+  _entries: Map<string, DocumentCacheEntry>;
+  _schemaIds: WeakMap<GraphQLSchema, number>;
+  _nextSchemaId: number;
+
+  constructor(options?: ?{ maxSize?: ?number }) {
+    const maxSize = options && options.maxSize;
+    invariant(
+      maxSize === undefined || maxSize === null || maxSize > 0,
+      'DocumentCache maxSize must be a positive number.'
+    );
+    this.maxSize = maxSize || 100;
+    this.hits = 0;
+    this.misses = 0;
+    this._entries = new Map();
+    this._schemaIds = new WeakMap();
+    this._nextSchemaId = 0;
+  }
+
+  get size(): number {
+    return this._entries.size;
+  }
+
+  get(
+    schema: GraphQLSchema,
+    source: string | Source
+  ): ?DocumentCacheEntry {
+    const key = this._getKey(schema, source);
+    const entry = this._entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return;
+    }
+    this.hits++;
+    // Re-insert the entry to mark it as the most recently used one.
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry;
+  }
+
+  set(
+    schema: GraphQLSchema,
+    source: string | Source,
+    entry: DocumentCacheEntry
+  ): void {
+    const key = this._getKey(schema, source);
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    while (this._entries.size > this.maxSize) {
+      // Maps iterate in insertion order, so the first key is the least
+      // recently used one.
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  clear(): void {
+    this._entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  _getKey(schema: GraphQLSchema, source: string | Source): string {
+    let schemaId = this._schemaIds.get(schema);
+    if (schemaId === undefined) {
+      schemaId = this._nextSchemaId++;
+      this._schemaIds.set(schema, schemaId);
+    }
+    if (typeof source === 'string') {
+      return `${schemaId}:${source}`;
+    }
+    const { name, locationOffset } = source;
+    return `${schemaId}${JSON.stringify([ name, locationOffset ])}:${
+      source.body}`;
+  }
+}
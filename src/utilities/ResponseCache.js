@@ -0,0 +1,177 @@
+/* @flow */
+
+import invariant from 'graphql/jsutils/invariant';
+import isNullish from 'graphql/jsutils/isNullish';
+import type { Source } from 'graphql/language/source';
+import type { GraphQLSchema } from 'graphql/type/schema';
+import type { ExecutionResult } from '../execution/execute';
+import type { CachePolicy } from '../execution/cacheControl';
+
+
+/**
+ * What identifies the result of a request: the source and the name of the
+ * operation executed and the variable values it was executed with.
+ */
+export type ResponseCacheKey = {
+  source: string | Source;
+  operationName: ?string;
+  variableValues: ?{[key: string]: mixed};
+};
+
+// The data is kept serialized, so neither the result it was taken from nor
+// the results returned for it can change it.
+type ResponseCacheEntry = {
+  data: string;
+  policy: CachePolicy;
+  expires: number;
+};
+
+/**
+ * A bounded least-recently-used cache of the results of query operations,
+ * which are kept as long as the cache policy of the result allows.
+ *
+ * Results with a PUBLIC scope are shared between all users, while results
+ * with a PRIVATE scope are only cached for the user identified by the given
+ * scope key, and not at all if there is none.
+ *
+ * Pass an instance as `responseCache` to `graphql()` to return the cached
+ * result of requests that have been executed before instead of executing
+ * them again. Results of operations that are not queries, results with
+ * errors and results with a max age of 0 are never cached. Each result
+ * returned is a copy of the cached data along with its cache policy, whose
+ * max age is the number of seconds left until the entry expires.
+ */
+export class ResponseCache {
+  maxSize: number;
+  hits: number;
+  misses: number;
+  _entries: Map<string, ResponseCacheEntry>;
+  _schemaIds: WeakMap<GraphQLSchema, number>;
+  _nextSchemaId: number;
+
+  constructor(options?: ?{ maxSize?: ?number }) {
+    const maxSize = options && options.maxSize;
+    invariant(
+      maxSize === undefined || maxSize === null || maxSize > 0,
+      'ResponseCache maxSize must be a positive number.'
+    );
+    this.maxSize = maxSize || 100;
+    this.hits = 0;
+    this.misses = 0;
+    this._entries = new Map();
+    this._schemaIds = new WeakMap();
+    this._nextSchemaId = 0;
+  }
+
+  get size(): number {
+    return this._entries.size;
+  }
+
+  get(
+    schema: GraphQLSchema,
+    cacheKey: ResponseCacheKey,
+    scope: ?string
+  ): ?ExecutionResult {
+    let entry = this._get(this._getKey(schema, cacheKey, null));
+    if (!entry && !isNullish(scope)) {
+      entry = this._get(this._getKey(schema, cacheKey, scope));
+    }
+    if (!entry) {
+      this.misses++;
+      return;
+    }
+    this.hits++;
+    const maxAge = Math.floor((entry.expires - Date.now()) / 1000);
+    return {
+      data: JSON.parse(entry.data),
+      extensions: { cacheControl: { ...entry.policy, maxAge } },
+    };
+  }
+
+  set(
+    schema: GraphQLSchema,
+    cacheKey: ResponseCacheKey,
+    scope: ?string,
+    result: ExecutionResult,
+    policy: CachePolicy
+  ): void {
+    const isPrivate = policy.scope === 'PRIVATE';
+    if (policy.maxAge <= 0 || isPrivate && isNullish(scope)) {
+      return;
+    }
+    const key = this._getKey(schema, cacheKey, isPrivate ? scope : null);
+    this._entries.delete(key);
+    this._entries.set(key, {
+      data: JSON.stringify(result.data),
+      policy: { ...policy },
+      expires: Date.now() + policy.maxAge * 1000,
+    });
+    while (this._entries.size > this.maxSize) {
+      // Maps iterate in insertion order, so the first key is the least
+      // recently used one.
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  clear(): void {
+    this._entries.clear();
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  _get(key: string): ?ResponseCacheEntry {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return;
+    }
+    this._entries.delete(key);
+    if (entry.expires <= Date.now()) {
+      return;
+    }
+    // Re-insert the entry to mark it as the most recently used one.
+    this._entries.set(key, entry);
+    return entry;
+  }
+
+  _getKey(
+    schema: GraphQLSchema,
+    cacheKey: ResponseCacheKey,
+    scope: ?string
+  ): string {
+    let schemaId = this._schemaIds.get(schema);
+    if (schemaId === undefined) {
+      schemaId = this._nextSchemaId++;
+      this._schemaIds.set(schema, schemaId);
+    }
+    const { source, operationName, variableValues } = cacheKey;
+    return stableStringify([
+      schemaId,
+      isNullish(scope) ? null : scope,
+      operationName || null,
+      variableValues || null,
+      typeof source === 'string' ? source : source.body,
+    ]);
+  }
+}
+
+// Serializes a value like JSON.stringify, but with the keys of objects in
+// order, so variable values given in a different order share a key.
+function stableStringify(value: mixed): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(item =>
+      (item === undefined ? 'null' : stableStringify(item))
+    ).join(',')}]`;
+  }
+  if (
+    value &&
+    typeof value === 'object' &&
+    typeof (value: any).toJSON !== 'function'
+  ) {
+    const object: any = value;
+    return `{${Object.keys(object).sort()
+      .filter(key => object[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(object[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
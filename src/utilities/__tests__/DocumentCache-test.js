@@ -0,0 +1,74 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  Source,
+} from 'graphql';
+import { graphql } from '../../graphql';
+import { DocumentCache } from '../DocumentCache';
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      a: { type: GraphQLString, resolve: () => 'a' },
+    },
+  }),
+});
+
+describe('DocumentCache', () => {
+
+  it('parses and validates each source once', () => {
+    const documentCache = new DocumentCache();
+    const first = graphql({ schema, source: '{ a }', documentCache });
+    const second = graphql({ schema, source: '{ a }', documentCache });
+    expect(first).to.deep.equal({ data: { a: 'a' } });
+    expect(second).to.deep.equal({ data: { a: 'a' } });
+    expect(documentCache.hits).to.equal(1);
+    expect(documentCache.misses).to.equal(1);
+  });
+
+  it('reports missing sources like without a cache', () => {
+    const documentCache = new DocumentCache();
+    [ undefined, null ].forEach(source => {
+      const cached = graphql({ schema, source, documentCache });
+      const uncached = graphql({ schema, source });
+      expect(cached.errors).to.have.length(1);
+      expect(cached.errors[0].message).to.equal(uncached.errors[0].message);
+      expect(cached.errors[0].message).to.contain('Must provide Source.');
+    });
+    expect(documentCache.size).to.equal(0);
+  });
+
+  it('keeps documents of sources with different names apart', () => {
+    const documentCache = new DocumentCache();
+    const body = '{ b }';
+    const first = graphql({
+      schema,
+      source: new Source(body, 'first.graphql'),
+      documentCache,
+    });
+    const second = graphql({
+      schema,
+      source: new Source(body, 'second.graphql'),
+      documentCache,
+    });
+    expect(first.errors[0].source.name).to.equal('first.graphql');
+    expect(second.errors[0].source.name).to.equal('second.graphql');
+    expect(documentCache.size).to.equal(2);
+  });
+
+  it('evicts the least recently used documents', () => {
+    const documentCache = new DocumentCache({ maxSize: 2 });
+    graphql({ schema, source: '{ a }', documentCache });
+    graphql({ schema, source: '{ b: a }', documentCache });
+    graphql({ schema, source: '{ a }', documentCache });
+    graphql({ schema, source: '{ c: a }', documentCache });
+    expect(documentCache.size).to.equal(2);
+    graphql({ schema, source: '{ a }', documentCache });
+    expect(documentCache.hits).to.equal(2);
+  });
+
+});
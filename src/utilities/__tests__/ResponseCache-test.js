@@ -0,0 +1,128 @@
+import { describe, it, afterEach } from 'mocha';
+import { expect } from 'chai';
+import {
+  GraphQLInt,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+} from 'graphql';
+import { graphql } from '../../graphql';
+import { ResponseCache } from '../ResponseCache';
+
+let resolved = 0;
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      greeting: {
+        type: new GraphQLObjectType({
+          name: 'Greeting',
+          fields: { text: { type: GraphQLString } },
+        }),
+        args: { name: { type: GraphQLString }, times: { type: GraphQLInt } },
+        cacheControl: { maxAge: 60 },
+        resolve: (_, { name }) => {
+          resolved++;
+          return { text: `Hello ${name}` };
+        },
+      },
+    },
+  }),
+  mutation: new GraphQLObjectType({
+    name: 'Mutation',
+    fields: {
+      touch: {
+        type: GraphQLString,
+        cacheControl: { maxAge: 60 },
+        resolve: () => 'touched',
+      },
+    },
+  }),
+});
+
+const source = 'query ($name: String, $times: Int) { ' +
+  'greeting(name: $name, times: $times) { text } }';
+
+describe('ResponseCache', () => {
+  const now = Date.now;
+
+  afterEach(() => {
+    Date.now = now;
+    resolved = 0;
+  });
+
+  it('returns copies of cached results', () => {
+    const responseCache = new ResponseCache();
+    const variableValues = { name: 'Ann' };
+    const first = graphql({ schema, source, variableValues, responseCache });
+    first.data.greeting.text = 'changed';
+    const second = graphql({ schema, source, variableValues, responseCache });
+    expect(second.data).to.deep.equal({ greeting: { text: 'Hello Ann' } });
+    expect(resolved).to.equal(1);
+    expect(responseCache.hits).to.equal(1);
+  });
+
+  it('ignores the order of variables', () => {
+    const responseCache = new ResponseCache();
+    graphql({
+      schema,
+      source,
+      variableValues: { name: 'Ann', times: 2 },
+      responseCache,
+    });
+    graphql({
+      schema,
+      source,
+      variableValues: { times: 2, name: 'Ann' },
+      responseCache,
+    });
+    expect(resolved).to.equal(1);
+  });
+
+  it('returns the max age left until cached results expire', () => {
+    const responseCache = new ResponseCache();
+    const start = now();
+    Date.now = () => start;
+    const first = graphql({ schema, source, responseCache });
+    expect(first.extensions.cacheControl).to.deep.equal({
+      maxAge: 60,
+      scope: 'PUBLIC',
+    });
+    Date.now = () => start + 25500;
+    const second = graphql({ schema, source, responseCache });
+    expect(second.extensions.cacheControl).to.deep.equal({
+      maxAge: 34,
+      scope: 'PUBLIC',
+    });
+    Date.now = () => start + 60000;
+    graphql({ schema, source, responseCache });
+    expect(resolved).to.equal(2);
+  });
+
+  it('sends cached results through the plugins', () => {
+    const responseCache = new ResponseCache();
+    const plugins = [ {
+      willSendResult: result => ({
+        ...result,
+        extensions: { ...result.extensions, sent: true },
+      }),
+    } ];
+    graphql({ schema, source, responseCache, plugins });
+    const result = graphql({ schema, source, responseCache, plugins });
+    expect(responseCache.hits).to.equal(1);
+    expect(result.extensions.sent).to.equal(true);
+  });
+
+  it('does not cache mutations', () => {
+    const responseCache = new ResponseCache();
+    const result = graphql({
+      schema,
+      source: 'mutation { touch }',
+      responseCache,
+    });
+    expect(result).to.deep.equal({ data: { touch: 'touched' } });
+    expect(responseCache.size).to.equal(0);
+  });
+
+});
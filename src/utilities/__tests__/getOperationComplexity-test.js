@@ -0,0 +1,116 @@
+import { describe, it } from 'mocha';
+import { expect } from 'chai';
+import {
+  GraphQLInt,
+  GraphQLList,
+  GraphQLObjectType,
+  GraphQLSchema,
+  GraphQLString,
+  parse,
+} from 'graphql';
+import { graphql } from '../../graphql';
+import { getOperationComplexity } from '../getOperationComplexity';
+
+const ItemType = new GraphQLObjectType({
+  name: 'Item',
+  fields: {
+    a: { type: GraphQLString },
+    b: { type: GraphQLString },
+  },
+});
+
+const schema = new GraphQLSchema({
+  query: new GraphQLObjectType({
+    name: 'Query',
+    fields: {
+      items: {
+        type: new GraphQLList(ItemType),
+        args: { first: { type: GraphQLInt } },
+        resolve: () => [ { a: 'a', b: 'b' } ],
+      },
+      discount: {
+        type: GraphQLInt,
+        complexity: () => -1000,
+        resolve: () => 1,
+      },
+      limited: {
+        type: GraphQLInt,
+        args: { n: { type: GraphQLInt } },
+        argConfigs: { n: { constraints: { max: 5 } } },
+        resolve: (_, { n }) => n,
+      },
+    },
+  }),
+});
+
+describe('getOperationComplexity', () => {
+
+  it('multiplies the cost of sub-fields by list arguments', () => {
+    const document = parse('{ items(first: 10) { a b } }');
+    expect(getOperationComplexity(schema, document)).to.equal(21);
+  });
+
+  it('counts negative list arguments as 0', () => {
+    const document = parse('{ items(first: -494949) { a b } }');
+    expect(getOperationComplexity(schema, document)).to.equal(1);
+  });
+
+  it('counts negative costs of fields as 0', () => {
+    const document = parse('{ discount items(first: 100) { a b } }');
+    expect(getOperationComplexity(schema, document)).to.equal(201);
+  });
+
+  it('throws errors of invalid arguments', () => {
+    const document = parse('{ limited(n: 10) }');
+    expect(() => getOperationComplexity(schema, document)).to.throw(
+      'Argument "n" got invalid value 10; Expected a value of at most 5.'
+    );
+  });
+
+});
+
+describe('graphql with maxComplexity', () => {
+
+  it('rejects operations made cheap by negative list arguments', () => {
+    const result = graphql({
+      schema,
+      source: `{
+        discount
+        items(first: -494949) { a b }
+        moreItems: items(first: 50) { a b }
+      }`,
+      maxComplexity: 10,
+    });
+    expect(result.data).to.equal(undefined);
+    expect(result.errors.map(error => error.extensions.code)).to.deep.equal([
+      'COMPLEXITY_LIMIT_EXCEEDED',
+    ]);
+  });
+
+  it('reports errors of invalid arguments in the result', () => {
+    const result = graphql({
+      schema,
+      source: '{ limited(n: 10) }',
+      maxComplexity: 10,
+    });
+    expect(result.data).to.equal(undefined);
+    expect(result.errors).to.have.length(1);
+    expect(result.errors[0].message).to.equal(
+      'Argument "n" got invalid value 10; Expected a value of at most 5.'
+    );
+    expect(result.errors[0].extensions.code).to.equal('BAD_USER_INPUT');
+  });
+
+  it('returns the estimate along with the result', () => {
+    const result = graphql({
+      schema,
+      source: '{ limited(n: 3) }',
+      maxComplexity: 10,
+    });
+    expect(result).to.deep.equal({
+      data: { limited: 3 },
+      extensions: { cost: { complexity: 1, maximum: 10 } },
+    });
+  });
+
+});
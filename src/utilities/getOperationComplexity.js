@@ -0,0 +1,174 @@
+/* @flow */
+
+import {
+  buildExecutionContext,
+  collectFields,
+  getFieldDef,
+  getOperationRootType,
+} from '../execution/execute';
+import { getArgumentValues } from '../execution/values';
+import {
+  GraphQLObjectType,
+  getNamedType,
+  isAbstractType,
+} from 'graphql/type/definition';
+import type { ExecutionContext } from '../execution/execute';
+import type { DocumentNode, FieldNode } from 'graphql/language/ast';
+import type { GraphQLSchema } from 'graphql/type/schema';
+
+
+/**
+ * A field's `complexity` can either be a number, which is used as the cost of
+ * the field itself, or a function computing the total cost of the field from
+ * its coerced arguments and the cost of its selected sub-fields. Negative
+ * costs count as 0, so no field can lower the cost of the operation.
+ */
+export type FieldComplexity =
+  number |
+  (args: {[key: string]: mixed}, childComplexity: number) => number;
+
+export type ComplexityOptions = {
+  // The arguments whose value is the number of items a field returns.
+  listArguments?: ?Array<string>;
+};
+
+/**
+ * Estimates the cost of executing an operation of an already validated
+ * document, without executing it.
+ *
+ * Each selected field costs its `complexity` (1 by default) plus the cost of
+ * its sub-fields. If the field has one of the `listArguments` (`first`,
+ * `last` or `limit` by default), the cost of its sub-fields is multiplied by
+ * the argument's value. For fields of an abstract type, the most expensive
+ * possible type is used. Introspection fields are free.
+ *
+ * Throws the first GraphQLError found if the operation cannot be executed
+ * with the given variables.
+ */
+export function getOperationComplexity(
+  schema: GraphQLSchema,
+  document: DocumentNode,
+  variableValues?: ?{[key: string]: mixed},
+  operationName?: ?string,
+  options?: ?ComplexityOptions
+): number {
+  const exeContext = buildExecutionContext(
+    schema,
+    document,
+    undefined,
+    undefined,
+    variableValues,
+    operationName
+  );
+  if (Array.isArray(exeContext)) {
+    throw exeContext[0];
+  }
+  return getExecutionComplexity(exeContext, options);
+}
+
+/**
+ * Estimates the cost of executing the operation of an execution context,
+ * see `getOperationComplexity`.
+ *
+ * Throws a GraphQLError if the arguments of a selected field are invalid.
+ */
+export function getExecutionComplexity(
+  exeContext: ExecutionContext,
+  options?: ?ComplexityOptions
+): number {
+  const listArguments = options && options.listArguments ||
+    [ 'first', 'last', 'limit' ];
+  const type = getOperationRootType(exeContext.schema, exeContext.operation);
+  const fields = collectFields(
+    exeContext,
+    type,
+    exeContext.operation.selectionSet,
+    Object.create(null),
+    Object.create(null)
+  );
+  return getFieldsComplexity(exeContext, type, fields, listArguments);
+}
+
+function getFieldsComplexity(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fields: {[key: string]: Array<FieldNode>},
+  listArguments: Array<string>
+): number {
+  return Object.keys(fields).reduce(
+    (complexity, responseName) => complexity + getFieldComplexity(
+      exeContext,
+      parentType,
+      fields[responseName],
+      listArguments
+    ),
+    0
+  );
+}
+
+function getFieldComplexity(
+  exeContext: ExecutionContext,
+  parentType: GraphQLObjectType,
+  fieldNodes: Array<FieldNode>,
+  listArguments: Array<string>
+): number {
+  const fieldName = fieldNodes[0].name.value;
+  if (fieldName.slice(0, 2) === '__') {
+    return 0;
+  }
+  const fieldDef = getFieldDef(exeContext.schema, parentType, fieldName);
+  if (!fieldDef) {
+    return 0;
+  }
+
+  const args = getArgumentValues(
+    fieldDef,
+    fieldNodes[0],
+    exeContext.variableValues
+  );
+
+  // The cost of the sub-fields is the one of the most expensive type the
+  // value of this field may have at runtime.
+  const namedType = getNamedType(fieldDef.type);
+  const possibleTypes = isAbstractType(namedType) ?
+    exeContext.schema.getPossibleTypes((namedType: any)) :
+    namedType instanceof GraphQLObjectType ? [ namedType ] : [];
+  const childComplexity = possibleTypes.reduce((max, runtimeType) => {
+    let subFieldNodes = Object.create(null);
+    const visitedFragmentNames = Object.create(null);
+    for (let i = 0; i < fieldNodes.length; i++) {
+      const selectionSet = fieldNodes[i].selectionSet;
+      if (selectionSet) {
+        subFieldNodes = collectFields(
+          exeContext,
+          runtimeType,
+          selectionSet,
+          subFieldNodes,
+          visitedFragmentNames
+        );
+      }
+    }
+    return Math.max(max, getFieldsComplexity(
+      exeContext,
+      runtimeType,
+      subFieldNodes,
+      listArguments
+    ));
+  }, 0);
+
+  const complexity: ?FieldComplexity = (fieldDef: any).complexity;
+  if (typeof complexity === 'function') {
+    return Math.max(0, complexity(args, childComplexity));
+  }
+
+  let multiplier = 1;
+  for (let i = 0; i < listArguments.length; i++) {
+    const value = args[listArguments[i]];
+    if (typeof value === 'number') {
+      multiplier = Math.max(0, value);
+      break;
+    }
+  }
+  const cost = typeof complexity === 'number' ? Math.max(0, complexity) : 1;
+  return cost + childComplexity * multiplier;
+}
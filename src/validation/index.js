@@ -0,0 +1 @@
+export { MaxDepth } from './rules/MaxDepth';
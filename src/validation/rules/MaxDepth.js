@@ -0,0 +1,261 @@
+/* @flow */
+
+import { GraphQLError } from 'graphql/error';
+import * as Kind from 'graphql/language/kinds';
+import { ErrorCode, withCode } from '../../error/ErrorCode';
+import type { ValidationContext } from 'graphql/validation';
+import type {
+  FieldNode,
+  SelectionNode,
+  SelectionSetNode,
+} from 'graphql/language/ast';
+
+
+export function maxDepthMessage(
+  operationName: ?string,
+  maxDepth: number
+): string {
+  const operation = operationName ? ` "${operationName}"` : '';
+  return `Operation${operation} exceeds the maximum depth of ${maxDepth}.`;
+}
+
+export function maxIntrospectionDepthMessage(
+  operationName: ?string,
+  maxDepth: number
+): string {
+  const operation = operationName ? ` "${operationName}"` : '';
+  return `Operation${operation} exceeds the maximum introspection depth of ` +
+    `${maxDepth}.`;
+}
+
+/**
+ * The maximum depth of the fields selected on an introspection field, such
+ * as `__schema`, counting the introspection field itself. This allows the
+ * introspection query of GraphiQL and other tools, which nest `ofType` to
+ * resolve wrapped types.
+ */
+export const MAX_INTROSPECTION_DEPTH = 15;
+
+/**
+ * Max depth
+ *
+ * Returns a rule that only considers a GraphQL document valid if none of its
+ * operations select fields nested deeper than the given depth. Root fields
+ * have a depth of 1 and fragments count towards the depth of the selection
+ * they are spread into.
+ *
+ * Introspection fields and the fields selected on them do not count towards
+ * the depth of an operation, as they do not depend on the schema. Instead,
+ * they may be nested no deeper than `MAX_INTROSPECTION_DEPTH` below the
+ * introspection field.
+ *
+ * Named operations can be given a different maximum depth.
+ */
+export function MaxDepth(
+  maxDepth: number,
+  operationMaxDepths?: ?{[operationName: string]: number}
+): (context: ValidationContext) => any {
+  return function MaxDepthRule(context: ValidationContext): any {
+    const depths = createDepths(context, false);
+    const introspectionDepths = createDepths(context, true);
+    return {
+      OperationDefinition(node) {
+        const operationName = node.name ? node.name.value : null;
+        const limit = operationName && operationMaxDepths &&
+          operationMaxDepths[operationName] !== undefined ?
+            operationMaxDepths[operationName] :
+            maxDepth;
+        const fieldNode = getDepth(depths, node.selectionSet) > limit ?
+          findFieldDeeperThan(depths, node.selectionSet, 1, limit) :
+          null;
+        if (fieldNode) {
+          context.reportError(withCode(new GraphQLError(
+            maxDepthMessage(operationName, limit),
+            [ fieldNode ]
+          ), ErrorCode.DEPTH_LIMIT_EXCEEDED));
+          return false;
+        }
+        const introspectionFieldNode = findIntrospectionFieldDeeperThan(
+          depths,
+          introspectionDepths,
+          node.selectionSet,
+          new Set()
+        );
+        if (introspectionFieldNode) {
+          context.reportError(withCode(new GraphQLError(
+            maxIntrospectionDepthMessage(
+              operationName,
+              MAX_INTROSPECTION_DEPTH
+            ),
+            [ introspectionFieldNode ]
+          ), ErrorCode.DEPTH_LIMIT_EXCEEDED));
+        }
+        return false;
+      }
+    };
+  };
+}
+
+// The depths of the selection sets of a document, each computed once, so
+// fragments spread many times are only walked once. Introspection fields are
+// either counted like any other field or not at all.
+type Depths = {
+  context: ValidationContext;
+  countIntrospection: boolean;
+  bySelectionSet: Map<SelectionSetNode, number>;
+  visitingFragments: {[key: string]: boolean};
+};
+
+function createDepths(
+  context: ValidationContext,
+  countIntrospection: boolean
+): Depths {
+  return {
+    context,
+    countIntrospection,
+    bySelectionSet: new Map(),
+    visitingFragments: Object.create(null),
+  };
+}
+
+// Returns how deep fields are nested in a selection set, where a field
+// without a selection set has a depth of 1. Fragments being spread are
+// tracked to not follow fragment cycles, which are reported by another rule.
+function getDepth(depths: Depths, selectionSet: SelectionSetNode): number {
+  const cached = depths.bySelectionSet.get(selectionSet);
+  if (cached !== undefined) {
+    return cached;
+  }
+  let depth = 0;
+  for (let i = 0; i < selectionSet.selections.length; i++) {
+    const selection = selectionSet.selections[i];
+    depth = Math.max(depth, getSelectionDepth(depths, selection));
+  }
+  depths.bySelectionSet.set(selectionSet, depth);
+  return depth;
+}
+
+function getSelectionDepth(depths: Depths, selection: SelectionNode): number {
+  switch (selection.kind) {
+    case Kind.FIELD:
+      if (
+        !depths.countIntrospection &&
+        selection.name.value.slice(0, 2) === '__'
+      ) {
+        return 0;
+      }
+      return selection.selectionSet ?
+        1 + getDepth(depths, selection.selectionSet) :
+        1;
+    case Kind.INLINE_FRAGMENT:
+      return getDepth(depths, selection.selectionSet);
+    case Kind.FRAGMENT_SPREAD:
+      const fragName = selection.name.value;
+      const fragment = depths.context.getFragment(fragName);
+      if (depths.visitingFragments[fragName] || !fragment) {
+        return 0;
+      }
+      depths.visitingFragments[fragName] = true;
+      const depth = getDepth(depths, fragment.selectionSet);
+      depths.visitingFragments[fragName] = false;
+      return depth;
+  }
+  return 0;
+}
+
+// Returns the first field selected at a depth greater than the limit, only
+// following the selections known to contain one.
+function findFieldDeeperThan(
+  depths: Depths,
+  selectionSet: SelectionSetNode,
+  depth: number,
+  limit: number
+): ?FieldNode {
+  for (let i = 0; i < selectionSet.selections.length; i++) {
+    const selection = selectionSet.selections[i];
+    if (depth - 1 + getSelectionDepth(depths, selection) <= limit) {
+      continue;
+    }
+    switch (selection.kind) {
+      case Kind.FIELD:
+        if (depth > limit) {
+          return selection;
+        }
+        return findFieldDeeperThan(
+          depths,
+          (selection.selectionSet: any),
+          depth + 1,
+          limit
+        );
+      case Kind.INLINE_FRAGMENT:
+        return findFieldDeeperThan(
+          depths,
+          selection.selectionSet,
+          depth,
+          limit
+        );
+      case Kind.FRAGMENT_SPREAD:
+        const fragment: any = depths.context.getFragment(selection.name.value);
+        return findFieldDeeperThan(
+          depths,
+          fragment.selectionSet,
+          depth,
+          limit
+        );
+    }
+  }
+}
+
+// Returns the first field selected deeper than allowed below an introspection
+// field. Each selection set is only searched once, as the depth below an
+// introspection field does not depend on where it is selected.
+function findIntrospectionFieldDeeperThan(
+  depths: Depths,
+  introspectionDepths: Depths,
+  selectionSet: SelectionSetNode,
+  searched: Set<SelectionSetNode>
+): ?FieldNode {
+  if (searched.has(selectionSet)) {
+    return;
+  }
+  searched.add(selectionSet);
+  for (let i = 0; i < selectionSet.selections.length; i++) {
+    const selection = selectionSet.selections[i];
+    let subSelectionSet;
+    switch (selection.kind) {
+      case Kind.FIELD:
+        subSelectionSet = selection.selectionSet;
+        if (subSelectionSet && selection.name.value.slice(0, 2) === '__') {
+          if (
+            1 + getDepth(introspectionDepths, subSelectionSet) >
+            MAX_INTROSPECTION_DEPTH
+          ) {
+            return findFieldDeeperThan(
+              introspectionDepths,
+              subSelectionSet,
+              2,
+              MAX_INTROSPECTION_DEPTH
+            );
+          }
+          continue;
+        }
+        break;
+      case Kind.INLINE_FRAGMENT:
+        subSelectionSet = selection.selectionSet;
+        break;
+      case Kind.FRAGMENT_SPREAD:
+        const fragment = depths.context.getFragment(selection.name.value);
+        subSelectionSet = fragment && fragment.selectionSet;
+        break;
+    }
+    const fieldNode = subSelectionSet && findIntrospectionFieldDeeperThan(
+      depths,
+      introspectionDepths,
+      subSelectionSet,
+      searched
+    );
+    if (fieldNode) {
+      return fieldNode;
+    }
+  }
+}